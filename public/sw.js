@@ -0,0 +1,58 @@
+// Service worker: precaches the app shell listed in precache-manifest.json
+// (generated at build time by vite.config.js) and serves it when offline.
+// Weather API responses are cached by the app itself (src/utils/cache.js).
+
+const CACHE_PREFIX = 'weather-dashboard-'
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const response = await fetch('/precache-manifest.json', { cache: 'no-store' })
+    const { version, files } = await response.json()
+
+    const cache = await caches.open(CACHE_PREFIX + version)
+    await cache.addAll(files)
+    await self.skipWaiting()
+  })())
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    // Keep only the newest shell cache (skipped if the manifest is unreachable)
+    try {
+      const response = await fetch('/precache-manifest.json', { cache: 'no-store' })
+      const current = CACHE_PREFIX + (await response.json()).version
+      const keys = await caches.keys()
+
+      await Promise.all(
+        keys
+          .filter(key => key.startsWith(CACHE_PREFIX) && key !== current)
+          .map(key => caches.delete(key))
+      )
+    } catch (error) {
+      console.warn('Skipping old cache cleanup:', error)
+    }
+    await self.clients.claim()
+  })())
+})
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  const url = new URL(request.url)
+
+  // Leave cross-origin API calls and non-GET requests to the network
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return
+
+  // Navigations: network first, falling back to the cached shell
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request).catch(async () => (await caches.match('/')) || Response.error())
+    )
+    return
+  }
+
+  // Static assets: cache first
+  event.respondWith((async () => {
+    const cached = await caches.match(request)
+    return cached || fetch(request)
+  })())
+})
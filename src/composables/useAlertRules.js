@@ -0,0 +1,112 @@
+import { ref, computed } from 'vue'
+import { getAlertRuleSettings, saveAlertRuleSettings } from '@/utils/storage'
+
+// Shared by every caller, so rule edits apply to each city's weather at once
+const settings = ref(getAlertRuleSettings())
+
+const notificationsSupported = typeof window !== 'undefined' && 'Notification' in window
+const notificationPermission = ref(notificationsSupported ? Notification.permission : 'denied')
+
+/**
+ * Composable for the user's alert rules and their browser notifications
+ */
+export function useAlertRules() {
+  const rules = computed(() => settings.value.rules)
+
+  function persist(changes) {
+    settings.value = { ...settings.value, ...changes }
+    saveAlertRuleSettings(settings.value)
+  }
+
+  /**
+   * Add or update a rule
+   * @param {Object} rule - Alert rule
+   */
+  function saveRule(rule) {
+    const exists = rules.value.some(saved => saved.id === rule.id)
+    persist({
+      rules: exists
+        ? rules.value.map(saved => saved.id === rule.id ? rule : saved)
+        : [...rules.value, rule]
+    })
+  }
+
+  /**
+   * Delete a rule, along with its notification times
+   * @param {string} ruleId - Rule ID
+   */
+  function deleteRule(ruleId) {
+    const notifiedAt = Object.fromEntries(
+      Object.entries(settings.value.notifiedAt).filter(([key]) => !key.startsWith(`${ruleId}:`))
+    )
+    persist({
+      rules: rules.value.filter(saved => saved.id !== ruleId),
+      notifiedAt
+    })
+  }
+
+  /**
+   * Ask for permission to show browser notifications
+   * @returns {Promise<string>} 'granted', 'denied' or 'default'
+   */
+  async function requestNotificationPermission() {
+    if (!notificationsSupported) return 'denied'
+
+    try {
+      notificationPermission.value = await Notification.requestPermission()
+    } catch (error) {
+      console.error('Notification permission request failed:', error)
+    }
+    return notificationPermission.value
+  }
+
+  /**
+   * Send a browser notification for each triggered rule that asks for one,
+   * unless that rule last notified about this city within its cooldown
+   * @param {Object} city - City with id and name
+   * @param {Array} alerts - Alerts from evaluateAlertRules
+   */
+  function notifyRuleAlerts(city, alerts) {
+    if (!notificationsSupported || Notification.permission !== 'granted') return
+
+    const now = Date.now()
+    const notifiedAt = { ...settings.value.notifiedAt }
+    let sent = false
+
+    alerts.forEach(alert => {
+      const rule = rules.value.find(saved => saved.id === alert.ruleId)
+      if (!rule?.notify) return
+
+      const key = `${rule.id}:${city.id}`
+      if (now - (notifiedAt[key] || 0) < rule.cooldown * 60000) return
+
+      try {
+        new Notification(`${city.name}: ${alert.event}`, { body: alert.description, tag: key })
+        notifiedAt[key] = now
+        sent = true
+      } catch (error) {
+        console.error('Notification failed:', error)
+      }
+    })
+
+    if (sent) persist({ notifiedAt })
+  }
+
+  /**
+   * Read the rules from storage again, e.g. after a backup import
+   */
+  function reloadRules() {
+    settings.value = getAlertRuleSettings()
+  }
+
+  return {
+    rules,
+    notificationsSupported,
+    notificationPermission,
+    saveRule,
+    deleteRule,
+    requestNotificationPermission,
+    notifyRuleAlerts,
+    reloadRules
+  }
+}
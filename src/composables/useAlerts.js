@@ -0,0 +1,90 @@
+import { ref, computed, onMounted, onUnmounted } from 'vue'
+import { getHiddenAlerts, saveHiddenAlerts } from '@/utils/storage'
+import { groupAlerts, isAlertExpired } from '@/utils/alerts'
+
+// How long dismissing hides an alert that has no fixed end time
+const DISMISS_WITHOUT_END = 24 * 60 * 60 * 1000
+
+/**
+ * Composable for the alert banners: duplicates merged, sorted by severity,
+ * ended alerts dropped, and dismissed or snoozed alerts hidden until their
+ * time is up (remembered across reloads)
+ * @param {Function} getAlerts - Reactive getter for every city's alerts, each with cityName and timezone
+ */
+export function useAlerts(getAlerts) {
+  const now = ref(Date.now())
+  const hidden = ref(getHiddenAlerts())
+  let clockInterval = null
+
+  // Every alert that hasn't ended, hidden or not
+  const activeAlerts = computed(() => {
+    return groupAlerts(getAlerts().filter(alert => !isAlertExpired(alert, now.value)))
+  })
+
+  const visibleAlerts = computed(() => activeAlerts.value.filter(alert => !isHidden(alert)))
+
+  /**
+   * Check whether an alert is dismissed or snoozed
+   * @param {Object} alert - Alert from activeAlerts
+   * @returns {boolean}
+   */
+  function isHidden(alert) {
+    return (hidden.value[alert.key]?.until || 0) > now.value
+  }
+
+  // Saves the changes, dropping entries whose time is up
+  function persist(changes) {
+    now.value = Date.now()
+    hidden.value = Object.fromEntries(
+      Object.entries({ ...hidden.value, ...changes }).filter(([, entry]) => entry && entry.until > now.value)
+    )
+    saveHiddenAlerts(hidden.value)
+  }
+
+  /**
+   * Hide an alert until it ends. A rule alert's end moves with its
+   * look-ahead window, so it counts as having no end.
+   * @param {Object} alert - Alert from activeAlerts
+   */
+  function dismiss(alert) {
+    const until = alert.end && !alert.ruleId ? alert.end * 1000 : Date.now() + DISMISS_WITHOUT_END
+    persist({ [alert.key]: { until, action: 'dismiss' } })
+  }
+
+  /**
+   * Hide an alert for a while
+   * @param {Object} alert - Alert from activeAlerts
+   * @param {number} minutes - Snooze length
+   */
+  function snooze(alert, minutes) {
+    persist({ [alert.key]: { until: Date.now() + minutes * 60000, action: 'snooze' } })
+  }
+
+  /**
+   * Show a dismissed or snoozed alert again
+   * @param {Object} alert - Alert from activeAlerts
+   */
+  function restore(alert) {
+    persist({ [alert.key]: null })
+  }
+
+  onMounted(() => {
+    persist({})
+    clockInterval = setInterval(() => {
+      now.value = Date.now()
+    }, 60000)
+  })
+
+  onUnmounted(() => {
+    clearInterval(clockInterval)
+  })
+
+  return {
+    activeAlerts,
+    visibleAlerts,
+    isHidden,
+    dismiss,
+    snooze,
+    restore
+  }
+}
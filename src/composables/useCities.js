@@ -1,24 +1,57 @@
-import { ref, computed } from 'vue'
+import { ref, computed, watch } from 'vue'
 import {
     getSavedCities,
+    getDashboards,
+    setActiveDashboard,
+    createDashboard as createDashboardInStorage,
+    updateDashboard as updateDashboardInStorage,
+    deleteDashboard as deleteDashboardFromStorage,
     addCity as addCityToStorage,
     removeCity as removeCityFromStorage,
-    updateCityOrder
+    updateCityOrder,
+    getSessionSelection,
+    saveSessionSelection,
+    DEFAULT_MAX_CITIES,
+    MAX_CITIES_LIMIT
 } from '@/utils/storage'
+import { isSameLocation } from '@/utils/urlState'
+import { generateId } from '@/utils/helpers'
 
 /**
- * Composable for managing saved cities
+ * Composable for managing saved cities. Cities belong to the active
+ * dashboard; switching dashboards swaps the city list. The comparison
+ * selection is kept per dashboard for the browser session.
  */
 export function useCities() {
     const cities = ref(getSavedCities())
-    const selectedCities = ref([])
+    const dashboardState = ref(getDashboards())
     const loading = ref(false)
 
+    const dashboards = computed(() => dashboardState.value.dashboards)
+    const activeDashboard = computed(() => {
+        return dashboards.value.find(dashboard => dashboard.id === dashboardState.value.activeId) || dashboards.value[0]
+    })
+
+    const selectedCities = ref(loadSelection())
+
+    watch(selectedCities, (cityIds) => {
+        saveSessionSelection(activeDashboard.value.id, cityIds)
+    }, { deep: true })
+
+    /**
+     * Load the active dashboard's session selection, ignoring removed cities
+     * @returns {Array<string>} Selected city IDs
+     */
+    function loadSelection() {
+        return getSessionSelection(activeDashboard.value.id)
+            .filter(cityId => cities.value.some(city => city.id === cityId))
+    }
+
     const cityCount = computed(() => cities.value.length)
     const hasCities = computed(() => cities.value.length > 0)
-    const maxCities = 6
+    const maxCities = computed(() => activeDashboard.value.maxCities)
 
-    const canAddMore = computed(() => cities.value.length < maxCities)
+    const canAddMore = computed(() => cities.value.length < maxCities.value)
 
     /**
      * Add a city to the dashboard
@@ -41,7 +74,7 @@ export function useCities() {
 
         const newCity = {
             ...city,
-            id: `${city.lat}-${city.lon}-${Date.now()}`,
+            id: `${city.lat}-${city.lon}-${generateId()}`,
             addedAt: new Date().toISOString()
         }
 
@@ -128,10 +161,103 @@ export function useCities() {
     }
 
     /**
-     * Reload cities from storage
+     * Reload cities and dashboards from storage
      */
     function reloadCities() {
+        dashboardState.value = getDashboards()
         cities.value = getSavedCities()
+        selectedCities.value = loadSelection()
+    }
+
+    /**
+     * Switch to another dashboard
+     * @param {string} dashboardId - Dashboard ID
+     */
+    function switchDashboard(dashboardId) {
+        setActiveDashboard(dashboardId)
+        reloadCities()
+    }
+
+    /**
+     * Create an empty dashboard and switch to it
+     * @param {string} name - Dashboard name
+     * @returns {boolean} Success status
+     */
+    function createDashboard(name) {
+        if (!name.trim()) {
+            return false
+        }
+
+        createDashboardInStorage(name)
+        reloadCities()
+        return true
+    }
+
+    /**
+     * Rename the active dashboard
+     * @param {string} name - New name
+     */
+    function renameDashboard(name) {
+        updateDashboardInStorage(activeDashboard.value.id, { name: name.trim() })
+        reloadCities()
+    }
+
+    /**
+     * Set the active dashboard's city limit. Lowering it below the
+     * current count keeps the cities but blocks adding more.
+     * @param {number} limit - Maximum number of cities
+     */
+    function setMaxCities(limit) {
+        const maxCitiesValue = Math.min(Math.max(Math.round(limit) || 1, 1), MAX_CITIES_LIMIT)
+        updateDashboardInStorage(activeDashboard.value.id, { maxCities: maxCitiesValue })
+        reloadCities()
+    }
+
+    /**
+     * Delete a dashboard (the last one is kept)
+     * @param {string} dashboardId - Dashboard ID
+     */
+    function deleteDashboard(dashboardId) {
+        deleteDashboardFromStorage(dashboardId)
+        reloadCities()
+    }
+
+    /**
+     * Show a set of cities, e.g. from a shared link. They are selected on
+     * the active dashboard, or on another dashboard that has them all;
+     * otherwise they get a new dashboard so no saved dashboard changes.
+     * Without a dashboard name, the active dashboard's matching cities are
+     * selected instead.
+     * @param {Array} sharedCities - Cities with name, country, lat and lon
+     * @param {string|null} dashboardName - Name for a new dashboard, or null for none
+     */
+    function openCities(sharedCities, dashboardName) {
+        const findAll = (cityList) => sharedCities.map(shared => cityList.find(city => isSameLocation(city, shared)))
+        const hasAll = (cityList) => !findAll(cityList).includes(undefined)
+
+        if (!hasAll(cities.value)) {
+            const dashboard = dashboards.value.find(item => hasAll(item.cities))
+            if (dashboard) {
+                switchDashboard(dashboard.id)
+            } else if (dashboardName) {
+                const created = createDashboardInStorage(dashboardName)
+                const addedAt = new Date().toISOString()
+                updateDashboardInStorage(created.id, {
+                    maxCities: Math.max(DEFAULT_MAX_CITIES, Math.min(sharedCities.length, MAX_CITIES_LIMIT)),
+                    cities: sharedCities.slice(0, MAX_CITIES_LIMIT).map((city, index) => ({
+                        ...city,
+                        // Indexed, so cities sharing coordinates still get distinct ids
+                        id: `${city.lat}-${city.lon}-${Date.now()}-${index}`,
+                        addedAt
+                    }))
+                })
+                reloadCities()
+            }
+        }
+
+        // Matching every city means no selection: views show them all
+        const matches = [...new Set(findAll(cities.value).filter(Boolean))]
+        selectedCities.value = matches.length === cities.value.length ? [] : matches.map(city => city.id)
     }
 
     /**
@@ -151,6 +277,8 @@ export function useCities() {
         hasCities,
         canAddMore,
         maxCities,
+        dashboards,
+        activeDashboard,
         addCity,
         removeCity,
         reorderCities,
@@ -161,6 +289,12 @@ export function useCities() {
         isCitySelected,
         getSelectedCityObjects,
         reloadCities,
-        getCityById
+        getCityById,
+        switchDashboard,
+        createDashboard,
+        renameDashboard,
+        setMaxCities,
+        deleteDashboard,
+        openCities
     }
 }
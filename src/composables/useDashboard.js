@@ -0,0 +1,15 @@
+import { inject } from 'vue'
+
+/**
+ * Composable returning the dashboard state provided by App.vue to the routed
+ * views: cities and their selection, weather data, alerts, chart metrics and
+ * the city actions
+ * @returns {Object} Dashboard context
+ */
+export function useDashboard() {
+  const dashboard = inject('dashboard', null)
+  if (!dashboard) {
+    throw new Error('useDashboard() must be used inside App.vue')
+  }
+  return dashboard
+}
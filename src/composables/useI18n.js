@@ -0,0 +1,17 @@
+import { computed } from 'vue'
+import { t, getLanguage, getLocale, formatNumber } from '@/i18n'
+
+/**
+ * Composable exposing translation and locale helpers to components
+ */
+export function useI18n() {
+  const language = computed(() => getLanguage())
+  const locale = computed(() => getLocale())
+
+  return {
+    t,
+    language,
+    locale,
+    formatNumber
+  }
+}
@@ -0,0 +1,26 @@
+import { ref, onMounted, onUnmounted } from 'vue'
+
+/**
+ * Composable tracking browser online/offline status
+ */
+export function useNetworkStatus() {
+  const isOnline = ref(navigator.onLine)
+
+  function updateStatus() {
+    isOnline.value = navigator.onLine
+  }
+
+  onMounted(() => {
+    window.addEventListener('online', updateStatus)
+    window.addEventListener('offline', updateStatus)
+  })
+
+  onUnmounted(() => {
+    window.removeEventListener('online', updateStatus)
+    window.removeEventListener('offline', updateStatus)
+  })
+
+  return {
+    isOnline
+  }
+}
@@ -0,0 +1,11 @@
+import { inject, ref } from 'vue'
+import { getPreferences } from '@/utils/storage'
+
+/**
+ * Composable returning the reactive preferences provided by App.vue
+ * (falls back to a stored snapshot outside the app tree)
+ * @returns {import('vue').Ref<Object>} Preferences ref
+ */
+export function usePreferences() {
+  return inject('preferences', () => ref(getPreferences()), true)
+}
@@ -0,0 +1,93 @@
+import { ref, computed } from 'vue'
+import { getScoringSettings, saveScoringSettings } from '@/utils/storage'
+import { DEFAULT_PROFILES } from '@/utils/scoring'
+import { t } from '@/i18n'
+
+// Shared by every caller, so a backup import reaches tables already shown
+const settings = ref(getScoringSettings())
+
+/**
+ * Composable for the built-in and user-defined scoring profiles
+ */
+export function useScoringProfiles() {
+  const customProfiles = computed(() => settings.value.profiles)
+  const profiles = computed(() => [...DEFAULT_PROFILES, ...customProfiles.value])
+
+  const activeProfile = computed(() => {
+    return profiles.value.find(profile => profile.id === settings.value.activeId) || profiles.value[0]
+  })
+
+  function persist(changes) {
+    settings.value = { ...settings.value, ...changes }
+    saveScoringSettings(settings.value)
+  }
+
+  /**
+   * Get a profile's display name
+   * @param {Object} profile - Scoring profile
+   * @returns {string} Name
+   */
+  function profileName(profile) {
+    return profile.nameKey ? t(profile.nameKey) : profile.name
+  }
+
+  /**
+   * Check whether a profile is user-defined (and so editable)
+   * @param {Object} profile - Scoring profile
+   * @returns {boolean}
+   */
+  function isCustomProfile(profile) {
+    return customProfiles.value.some(custom => custom.id === profile.id)
+  }
+
+  /**
+   * Use a profile for scoring
+   * @param {string} profileId - Profile ID
+   */
+  function setActiveProfile(profileId) {
+    persist({ activeId: profileId })
+  }
+
+  /**
+   * Add or update a user profile and make it active
+   * @param {Object} profile - Scoring profile
+   */
+  function saveProfile(profile) {
+    const exists = customProfiles.value.some(custom => custom.id === profile.id)
+    persist({
+      activeId: profile.id,
+      profiles: exists
+        ? customProfiles.value.map(custom => custom.id === profile.id ? profile : custom)
+        : [...customProfiles.value, profile]
+    })
+  }
+
+  /**
+   * Delete a user profile
+   * @param {string} profileId - Profile ID
+   */
+  function deleteProfile(profileId) {
+    persist({
+      activeId: settings.value.activeId === profileId ? null : settings.value.activeId,
+      profiles: customProfiles.value.filter(custom => custom.id !== profileId)
+    })
+  }
+
+  /**
+   * Read the profiles from storage again, e.g. after a backup import
+   */
+  function reloadProfiles() {
+    settings.value = getScoringSettings()
+  }
+
+  return {
+    profiles,
+    activeProfile,
+    profileName,
+    isCustomProfile,
+    setActiveProfile,
+    saveProfile,
+    deleteProfile,
+    reloadProfiles
+  }
+}
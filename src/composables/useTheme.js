@@ -0,0 +1,33 @@
+import { ref, computed } from 'vue'
+import { usePreferences } from '@/composables/usePreferences'
+import { THEMES, resolveTheme } from '@/utils/theme'
+
+// Shared across components so only one media query listener is registered
+const systemPrefersLight = ref(false)
+let mediaQuery = null
+
+function watchSystemTheme() {
+  if (mediaQuery || !window.matchMedia) return
+
+  mediaQuery = window.matchMedia('(prefers-color-scheme: light)')
+  systemPrefersLight.value = mediaQuery.matches
+  mediaQuery.addEventListener('change', (event) => {
+    systemPrefersLight.value = event.matches
+  })
+}
+
+/**
+ * Composable resolving the theme preference (including 'system') to the active theme
+ */
+export function useTheme() {
+  const preferences = usePreferences()
+  watchSystemTheme()
+
+  const activeTheme = computed(() => resolveTheme(preferences.value.theme, systemPrefersLight.value))
+  const colors = computed(() => THEMES[activeTheme.value])
+
+  return {
+    activeTheme,
+    colors
+  }
+}
@@ -0,0 +1,38 @@
+import { computed } from 'vue'
+import {
+  getUnitSymbol,
+  convertTemp,
+  convertWind,
+  convertPressure,
+  convertDistance,
+  convertPrecip,
+  formatTemp,
+  formatWindSpeed,
+  formatPressure,
+  formatDistance,
+  formatPrecip
+} from '@/utils/units'
+import { usePreferences } from '@/composables/usePreferences'
+
+/**
+ * Composable binding the unit helpers to the preferences provided by App.vue
+ */
+export function useUnits() {
+  const preferences = usePreferences()
+  const units = computed(() => preferences.value)
+
+  return {
+    units,
+    symbol: (kind) => getUnitSymbol(kind, units.value),
+    convertTemp: (value) => convertTemp(value, units.value),
+    convertWind: (value) => convertWind(value, units.value),
+    convertPressure: (value) => convertPressure(value, units.value),
+    convertDistance: (value) => convertDistance(value, units.value),
+    convertPrecip: (value) => convertPrecip(value, units.value),
+    formatTemp: (value, showUnit) => formatTemp(value, units.value, showUnit),
+    formatWind: (value) => formatWindSpeed(value, units.value),
+    formatPressure: (value) => formatPressure(value, units.value),
+    formatDistance: (value) => formatDistance(value, units.value),
+    formatPrecip: (value) => formatPrecip(value, units.value)
+  }
+}
@@ -0,0 +1,65 @@
+import { computed, watch } from 'vue'
+import { useRoute, useRouter } from 'vue-router'
+import { parseUrlQuery, buildUrlQuery, isSameQuery } from '@/utils/urlState'
+
+/**
+ * Composable keeping view state in the URL query. The route gives the
+ * view, so back/forward move between views; a metric change replaces the
+ * current entry's query. Cities and unit only go into the share link, so a
+ * bookmark or history entry never reopens cities the dashboard has since
+ * dropped. Query state the app doesn't already show (shared links,
+ * back/forward) is applied first, then the URL is brought in line with the app.
+ * @param {Function} getState - Reactive getter for { view, metric, unit, cities }
+ * @param {Function} applyState - Applies { metric, unit, cities } read from the URL;
+ *   its second argument is { initial }, true for the URL the app was opened with
+ */
+export function useUrlState(getState, applyState) {
+  const route = useRoute()
+  const router = useRouter()
+
+  let initial = true
+
+  // What the address bar holds: the view's metric, without cities or unit
+  const viewQuery = ({ view, metric }) => buildUrlQuery({ view, metric })
+
+  watch(() => route.query, (query) => {
+    const state = parseUrlQuery(query, route.name)
+    if (!isSameQuery(buildUrlQuery({ ...state, view: route.name }), viewQuery(getState()))) {
+      applyState(state, { initial })
+    }
+    initial = false
+  }, { immediate: true })
+
+  watch(getState, (state) => {
+    const query = viewQuery(state)
+    if (!isSameQuery(query, route.query)) {
+      router.replace({ query })
+    }
+  }, { deep: true, immediate: true })
+
+  // Absolute link to this view with its cities and unit, for sharing
+  const shareUrl = computed(() => {
+    const { href } = router.resolve({
+      name: route.name,
+      params: route.params,
+      query: buildUrlQuery(getState())
+    })
+    return new URL(href, window.location.origin).href
+  })
+
+  /**
+   * Route location for a view (metrics belong to a view, so they aren't
+   * carried over)
+   * @param {string} name - Route name
+   * @param {Object} params - Route params
+   * @returns {Object} Route location
+   */
+  function viewLink(name, params = {}) {
+    return { name, params }
+  }
+
+  return {
+    shareUrl,
+    viewLink
+  }
+}
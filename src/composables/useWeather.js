@@ -1,127 +1,173 @@
 import { ref, computed } from 'vue'
-import { getCurrentWeather, getForecast, getWeatherAlerts } from '@/utils/weatherApi'
-import { getPreferences } from '@/utils/storage'
-import { convertTemperature, processForecastData } from '@/utils/helpers'
+import { getCurrentWeather, getForecast, getWeatherAlerts, getAirQuality, getAirQualityForecast, getUVIndex, getCachedAt } from '@/utils/weatherApi'
+import { getWeatherSnapshot, saveWeatherSnapshot, logAlerts } from '@/utils/storage'
+import { processForecastData, processHourlyData } from '@/utils/helpers'
+import { evaluateAlertRules } from '@/utils/alertRules'
+import { useAlertRules } from '@/composables/useAlertRules'
+import { usePreferences } from '@/composables/usePreferences'
+import { t } from '@/i18n'
 
 /**
  * Composable for managing weather data for a city
  * @param {Object} city - City object with lat, lon, name
+ * @param {Object} options
+ * @param {boolean} options.immediate - Fetch straight away (otherwise call fetchWeatherData)
+ * @param {import('vue').Ref<Object>} options.preferences - Preferences for the alert rule text
+ *   (defaults to the injected ones; pass them when calling outside a component's setup)
  */
-export function useWeather(city) {
+export function useWeather(city, { immediate = true, preferences = usePreferences() } = {}) {
+  const { rules, notifyRuleAlerts } = useAlertRules()
+
   const weather = ref(null)
   const forecast = ref(null)
-  const alerts = ref([])
+  const officialAlerts = ref([])
+  const airQuality = ref(null)
+  const airQualityForecast = ref(null)
+  const uvIndex = ref(null)
   const loading = ref(false)
   const error = ref(null)
   const lastUpdated = ref(null)
+  const cachedAt = ref(null)
+  const fromSnapshot = ref(false)
 
-  const preferences = getPreferences()
-  const unit = ref(preferences.temperatureUnit)
-
-  // Computed values for display
-  const currentTemp = computed(() => {
-    if (!weather.value) return null
-    const temp = weather.value.main.temp
-    return unit.value === 'fahrenheit' 
-      ? convertTemperature(temp, 'celsius', 'fahrenheit')
-      : temp
-  })
+  // Computed values (metric; components convert them with useUnits)
+  const currentTemp = computed(() => weather.value?.temp ?? null)
+  const feelsLike = computed(() => weather.value?.feelsLike ?? null)
+  const tempHigh = computed(() => weather.value?.tempMax ?? null)
+  const tempLow = computed(() => weather.value?.tempMin ?? null)
 
-  const feelsLike = computed(() => {
-    if (!weather.value) return null
-    const temp = weather.value.main.feels_like
-    return unit.value === 'fahrenheit'
-      ? convertTemperature(temp, 'celsius', 'fahrenheit')
-      : temp
+  const dailyForecast = computed(() => {
+    if (!forecast.value?.items) return []
+    return processForecastData(forecast.value.items, forecast.value.timezone)
   })
 
-  const tempHigh = computed(() => {
-    if (!weather.value) return null
-    const temp = weather.value.main.temp_max
-    return unit.value === 'fahrenheit'
-      ? convertTemperature(temp, 'celsius', 'fahrenheit')
-      : temp
+  const hourlyForecast = computed(() => {
+    if (!forecast.value?.items) return []
+    return processHourlyData(forecast.value.items)
   })
 
-  const tempLow = computed(() => {
-    if (!weather.value) return null
-    const temp = weather.value.main.temp_min
-    return unit.value === 'fahrenheit'
-      ? convertTemperature(temp, 'celsius', 'fahrenheit')
-      : temp
+  // The user's alert rules, re-evaluated whenever the weather or the rules change
+  const ruleAlerts = computed(() => {
+    if (!weather.value || !city?.id) return []
+    return evaluateAlertRules(rules.value, city.id, {
+      weather: weather.value,
+      forecast: forecast.value
+    }, preferences.value)
   })
 
-  const dailyForecast = computed(() => {
-    if (!forecast.value?.list) return []
-    const processed = processForecastData(forecast.value.list)
-    
-    if (unit.value === 'fahrenheit') {
-      return processed.map(day => ({
-        ...day,
-        tempMin: convertTemperature(day.tempMin, 'celsius', 'fahrenheit'),
-        tempMax: convertTemperature(day.tempMax, 'celsius', 'fahrenheit'),
-        tempAvg: convertTemperature(day.tempAvg, 'celsius', 'fahrenheit')
-      }))
-    }
-    
-    return processed
-  })
+  // Government alerts first, then triggered rules
+  const alerts = computed(() => [...officialAlerts.value, ...ruleAlerts.value])
 
   const hasAlerts = computed(() => alerts.value.length > 0)
 
   /**
    * Fetch all weather data for the city
+   * @param {Object} options
+   * @param {boolean} options.force - Bypass the request cache
    */
-  async function fetchWeatherData() {
+  async function fetchWeatherData({ force = false } = {}) {
     if (!city?.lat || !city?.lon) return
 
     loading.value = true
     error.value = null
 
     try {
-      // Fetch current weather
-      const weatherData = await getCurrentWeather(city.lat, city.lon, 'metric')
-      weather.value = weatherData
+      // Every request needs only the coordinates, so they run side by side.
+      // Stale cache entries are refreshed in the background.
+      const [weatherData, forecastData, alertsData, airQualityData, airQualityForecastData, uvIndexData] = await Promise.all([
+        getCurrentWeather(city.lat, city.lon, {
+          force,
+          onRevalidate: (data, timestamp) => {
+            weather.value = data
+            cachedAt.value = timestamp
+          }
+        }),
+        getForecast(city.lat, city.lon, {
+          force,
+          onRevalidate: (data) => {
+            forecast.value = data
+          }
+        }),
+        // Alerts might fail for free API tier
+        getWeatherAlerts(city.lat, city.lon, {
+          force,
+          onRevalidate: (data) => {
+            officialAlerts.value = data
+            logAlerts(city, data, weather.value?.timezone)
+          }
+        }).catch(() => []),
+        // Air quality and UV index are null when the provider has none
+        getAirQuality(city.lat, city.lon, {
+          force,
+          onRevalidate: (data) => {
+            airQuality.value = data
+          }
+        }),
+        getAirQualityForecast(city.lat, city.lon, {
+          force,
+          onRevalidate: (data) => {
+            airQualityForecast.value = data
+          }
+        }),
+        getUVIndex(city.lat, city.lon, {
+          force,
+          onRevalidate: (data) => {
+            uvIndex.value = data
+          }
+        })
+      ])
 
-      // Fetch forecast
-      const forecastData = await getForecast(city.lat, city.lon, 'metric')
+      weather.value = weatherData
+      cachedAt.value = getCachedAt('current', city.lat, city.lon)
       forecast.value = forecastData
-
-      // Fetch alerts
-      try {
-        const alertsData = await getWeatherAlerts(city.lat, city.lon)
-        alerts.value = alertsData
-      } catch (e) {
-        // Alerts might fail for free API tier
-        alerts.value = []
-      }
+      officialAlerts.value = alertsData
+      logAlerts(city, alertsData, weatherData.timezone)
+      airQuality.value = airQualityData
+      airQualityForecast.value = airQualityForecastData
+      uvIndex.value = uvIndexData
 
       lastUpdated.value = new Date()
+      fromSnapshot.value = false
+      saveWeatherSnapshot(city.id, {
+        weather: weather.value,
+        forecast: forecast.value,
+        alerts: officialAlerts.value,
+        airQuality: airQuality.value,
+        airQualityForecast: airQualityForecast.value,
+        uvIndex: uvIndex.value
+      })
+      notifyRuleAlerts(city, ruleAlerts.value)
     } catch (err) {
-      error.value = err.message || 'Failed to fetch weather data'
       console.error('Weather fetch error:', err)
+
+      // Replay the last-known weather (e.g. while offline) instead of failing
+      const snapshot = getWeatherSnapshot(city.id)
+      if (snapshot?.weather) {
+        weather.value = snapshot.weather
+        forecast.value = snapshot.forecast
+        officialAlerts.value = snapshot.alerts || []
+        airQuality.value = snapshot.airQuality || null
+        airQualityForecast.value = snapshot.airQualityForecast || null
+        uvIndex.value = snapshot.uvIndex || null
+        cachedAt.value = new Date(snapshot.savedAt).getTime()
+        fromSnapshot.value = true
+      } else {
+        error.value = err.message || t('card.loadError')
+      }
     } finally {
       loading.value = false
     }
   }
 
   /**
-   * Update temperature unit
-   * @param {string} newUnit - 'celsius' or 'fahrenheit'
-   */
-  function setUnit(newUnit) {
-    unit.value = newUnit
-  }
-
-  /**
-   * Refresh weather data
+   * Refresh weather data, skipping the cache
    */
   async function refresh() {
-    await fetchWeatherData()
+    await fetchWeatherData({ force: true })
   }
 
   // Initial fetch
-  if (city?.lat && city?.lon) {
+  if (immediate && city?.lat && city?.lon) {
     fetchWeatherData()
   }
 
@@ -129,18 +175,22 @@ export function useWeather(city) {
     weather,
     forecast,
     alerts,
+    airQuality,
+    airQualityForecast,
+    uvIndex,
     loading,
     error,
     lastUpdated,
-    unit,
+    cachedAt,
+    fromSnapshot,
     currentTemp,
     feelsLike,
     tempHigh,
     tempLow,
     dailyForecast,
+    hourlyForecast,
     hasAlerts,
     fetchWeatherData,
-    setUnit,
     refresh
   }
 }
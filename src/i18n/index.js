@@ -0,0 +1,94 @@
+import { ref } from 'vue'
+import en from './locales/en'
+import fr from './locales/fr'
+import es from './locales/es'
+
+/**
+ * Minimal i18n layer. Messages live in per-language catalogs under
+ * ./locales and are looked up by dotted key (e.g. 'card.feelsLike').
+ * The current language is a ref, so components and helpers that read it
+ * while rendering update when the language preference changes.
+ */
+
+// Supported languages, with the locale used for number and date formatting
+export const LANGUAGES = [
+  { value: 'en', label: 'English', locale: 'en-US' },
+  { value: 'fr', label: 'Français', locale: 'fr-FR' },
+  { value: 'es', label: 'Español', locale: 'es-ES' }
+]
+
+const CATALOGS = { en, fr, es }
+const FALLBACK_LANGUAGE = 'en'
+
+const currentLanguage = ref(FALLBACK_LANGUAGE)
+
+/**
+ * Set the active language
+ * @param {string} language - Language code ('en', 'fr' or 'es')
+ */
+export function setLanguage(language) {
+  currentLanguage.value = CATALOGS[language] ? language : FALLBACK_LANGUAGE
+}
+
+/**
+ * Get the active language code
+ * @returns {string} Language code
+ */
+export function getLanguage() {
+  return currentLanguage.value
+}
+
+/**
+ * Get the active locale for Intl formatting
+ * @returns {string} BCP 47 locale (e.g. 'fr-FR')
+ */
+export function getLocale() {
+  return LANGUAGES.find(lang => lang.value === currentLanguage.value).locale
+}
+
+/**
+ * Look up a dotted key in a catalog
+ * @param {Object} catalog - Message catalog
+ * @param {string} key - Dotted message key
+ * @returns {*} Message, or undefined
+ */
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => node?.[part], catalog)
+}
+
+/**
+ * Translate a message key. Messages may contain {placeholders}; a message
+ * given as { one, other } is picked by the plural rules for params.count.
+ * @param {string} key - Dotted message key
+ * @param {Object} params - Placeholder values
+ * @returns {string} Translated message (the key itself when missing)
+ */
+export function t(key, params = {}) {
+  let message = lookup(CATALOGS[currentLanguage.value], key) ?? lookup(CATALOGS[FALLBACK_LANGUAGE], key)
+  if (message === undefined) return key
+
+  if (typeof message === 'object' && params.count !== undefined) {
+    const category = new Intl.PluralRules(getLocale()).select(params.count)
+    message = message[category] ?? message.other
+  }
+  if (typeof message !== 'string') return message
+
+  return message.replace(/\{(\w+)\}/g, (match, name) => (
+    params[name] !== undefined ? params[name] : match
+  ))
+}
+
+/**
+ * Format a number for the active locale
+ * @param {number} value - Number to format
+ * @param {number} decimals - Fixed number of decimal places
+ * @returns {string} Formatted number
+ */
+export function formatNumber(value, decimals = 0) {
+  // Normalise -0 (e.g. a rounded -0.3) so it doesn't render as "-0"
+  const number = value === 0 ? 0 : value
+  return number.toLocaleString(getLocale(), {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals
+  })
+}
@@ -0,0 +1,431 @@
+// English messages (fallback catalog: every key must exist here)
+export default {
+  app: {
+    title: 'Weather Dashboard',
+    offline: "You're offline. Showing the last-known weather for your saved cities.",
+    maxCities: 'Maximum of {count} cities reached. Remove a city to add more.',
+    dataProvidedBy: 'Data provided by {sources}'
+  },
+  common: {
+    retry: 'Retry',
+    cancel: 'Cancel',
+    close: 'Close'
+  },
+  nav: {
+    compare: 'Compare Cities',
+    forecast: 'View Forecast',
+    hourly: 'Hourly',
+    history: 'History',
+    alerts: 'Alerts',
+    back: 'Back to Dashboard'
+  },
+  header: {
+    searchPlaceholder: 'Search...',
+    results: 'Results',
+    recent: 'Recent',
+    useLocation: 'Use my location',
+    addCity: 'Add city'
+  },
+  dashboards: {
+    title: 'Dashboards',
+    defaultName: 'My cities',
+    name: 'Name',
+    cityLimit: 'City limit',
+    delete: 'Delete dashboard',
+    confirmDelete: 'Click again to delete',
+    newPlaceholder: 'New dashboard name',
+    create: 'Create dashboard'
+  },
+  share: {
+    copyLink: 'Copy link to this view',
+    copied: 'Link copied',
+    dashboardName: 'Shared cities'
+  },
+  empty: {
+    title: 'No cities added yet',
+    description: 'Use the search bar above to find and add cities to your weather dashboard.'
+  },
+  metrics: {
+    temperature: 'Temperature',
+    feelsLike: 'Feels Like',
+    humidity: 'Humidity',
+    wind: 'Wind',
+    windSpeed: 'Wind Speed',
+    pressure: 'Pressure',
+    visibility: 'Visibility',
+    distance: 'Distance',
+    precipitation: 'Precipitation',
+    condition: 'Condition',
+    clouds: 'Cloud cover',
+    precipChance: 'Precipitation chance',
+    uvIndex: 'UV index',
+    airQuality: 'Air quality'
+  },
+  card: {
+    high: 'H:{temp}',
+    low: 'L:{temp}',
+    cached: 'Cached {time}',
+    lastKnown: 'Last known, {time}',
+    weatherAlert: 'Weather alert',
+    removeCity: 'Remove city',
+    reorder: 'Drag to reorder, or Alt + arrow keys',
+    reorderLabel: 'Move {city}',
+    moved: 'Moved {city} to position {position} of {total}',
+    select: 'Select for comparison',
+    selectLabel: 'Select {city} for comparison',
+    refreshNow: 'Refresh now',
+    more: 'More',
+    less: 'Less',
+    next24Hours: 'Next 24 Hours',
+    fiveDayForecast: '5-Day Forecast',
+    loadError: 'Failed to fetch weather data',
+    localTime: 'Local time',
+    sunrise: 'Sunrise',
+    sunset: 'Sunset',
+    dayLength: 'Day length',
+    dayLengthValue: '{hours} h {minutes} min',
+    details: 'Show details'
+  },
+  city: {
+    notFound: 'This city is not on the current dashboard.',
+    conditions: 'Current conditions',
+    dewPoint: 'Dew point',
+    seaLevel: 'Pressure (sea level)',
+    groundLevel: 'Pressure (ground level)',
+    rainLastHour: 'Rain, last hour',
+    snowLastHour: 'Snow, last hour',
+    windFrom: 'From the {direction}',
+    gusts: 'Gusts up to {speed}',
+    windCompassLabel: 'Wind from {direction} at {speed}',
+    alerts: 'Weather alerts',
+    noAlerts: 'No active alerts for this city.',
+    viewHistory: 'View history'
+  },
+  selection: {
+    title: 'Cities to show',
+    all: 'All',
+    clear: 'Clear',
+    showingAll: 'No selection, showing every city',
+    count: {
+      one: '{count} city selected',
+      other: '{count} cities selected'
+    }
+  },
+  compare: {
+    title: 'City Comparison',
+    subtitle: 'Side-by-side weather metrics comparison',
+    metric: 'Metric',
+    legendBest: '#1 marks the best value, where one is better',
+    legendHigh: 'Hot/High values',
+    legendLow: 'Cold/Low values'
+  },
+  scoring: {
+    bestFor: 'Best city for',
+    score: '{profile} score',
+    best: 'Best',
+    newProfile: 'New profile',
+    editProfile: 'Edit profile',
+    profileName: 'Profile name',
+    idealFrom: 'Ideal from',
+    idealTo: 'Ideal to',
+    tolerance: '± Tolerance',
+    toleranceHint: 'How far outside the ideal range a value can be before it scores zero',
+    weight: 'Weight',
+    addCriterion: 'Add criterion',
+    removeCriterion: 'Remove criterion',
+    deleteProfile: 'Delete profile',
+    saveProfile: 'Save profile',
+    profiles: {
+      beach: 'Beach day',
+      running: 'Running',
+      sightseeing: 'Sightseeing'
+    }
+  },
+  forecast: {
+    title: '5-Day Forecast',
+    loading: 'Loading forecast data...',
+    seriesHigh: '{city} (High)',
+    seriesLow: '{city} (Low)'
+  },
+  hourly: {
+    title: 'Hourly Forecast',
+    subtitle: '3-hour steps over the next 5 days',
+    precipChance: 'Precipitation Chance',
+    detailTitle: '{city} in detail',
+    time: 'Time',
+    conditions: 'Conditions',
+    temp: 'Temp',
+    precip: 'Precip.',
+    rainSnow: 'Rain / Snow',
+    clouds: 'Clouds'
+  },
+  history: {
+    title: 'Historical Trends',
+    subtitle: 'Monthly average weather data comparison',
+    loading: 'Loading historical data...',
+    note: 'Historical data shows monthly averages based on past year observations.',
+    simulatedWarning: 'Observations could not be loaded for some cities. Their values are simulated from latitude and seasonal patterns and should not be used for analysis.',
+    chartSimulatedNote: 'Translucent bars show simulated data, not observations',
+    seriesSimulated: '{city} (simulated)',
+    simulatedBadge: 'Simulated',
+    avgTemperature: 'Avg. Temperature',
+    temperatureRange: 'Temperature Range',
+    warmestMonth: 'Warmest Month',
+    coldestMonth: 'Coldest Month',
+    avgPrecipitation: 'Avg. Precipitation',
+    perMonth: '{amount}/month',
+    simulatedData: 'Simulated data',
+    basedOnDays: {
+      one: 'Based on {count} day of observations',
+      other: 'Based on {count} days of observations'
+    }
+  },
+  alerts: {
+    readMore: 'Read more',
+    showLess: 'Show less',
+    source: 'Source: {sender}',
+    dismiss: 'Dismiss until it ends',
+    snooze: 'Snooze',
+    severity: {
+      minor: 'Minor',
+      moderate: 'Moderate',
+      severe: 'Severe',
+      extreme: 'Extreme'
+    }
+  },
+  alertsView: {
+    title: 'Alert History',
+    subtitle: 'Every weather alert received for your cities',
+    active: 'Active',
+    past: 'Past',
+    type: 'Alert type',
+    allTypes: 'All types',
+    clear: 'Clear history',
+    confirmClear: 'Click again to clear',
+    empty: 'No alerts recorded yet. Alerts from the weather provider are kept here once they arrive.',
+    noMatches: 'No alerts match these filters.',
+    types: {
+      storm: 'Storms',
+      rain: 'Rain and floods',
+      snow: 'Snow and winter',
+      wind: 'Wind',
+      heat: 'Heat',
+      cold: 'Cold',
+      fog: 'Fog',
+      other: 'Other'
+    }
+  },
+  dataExport: {
+    export: 'Export data',
+    csv: 'CSV (spreadsheet)',
+    json: 'JSON',
+    png: 'PNG image',
+    svg: 'SVG image',
+    pdf: 'PDF report'
+  },
+  chartExport: {
+    export: 'Export chart'
+  },
+  report: {
+    exportDashboard: 'Export dashboard',
+    exporting: 'Exporting...',
+    title: 'Weather report',
+    generated: 'Generated {date}',
+    currentConditions: 'Current conditions',
+    city: 'City',
+    noData: 'No weather data loaded',
+    alerts: 'Weather alerts',
+    noAlerts: 'No active weather alerts',
+    page: 'Page {page} of {total}'
+  },
+  settings: {
+    title: 'Settings',
+    appearance: 'Appearance',
+    themes: {
+      dark: 'Dark',
+      light: 'Light',
+      system: 'System'
+    },
+    language: 'Language',
+    units: 'Units',
+    data: 'Data',
+    autoRefresh: 'Auto-refresh',
+    autoRefreshHint: 'Update weather cards in the background',
+    refreshEvery: 'Refresh every',
+    minutes: {
+      one: '{count} minute',
+      other: '{count} minutes'
+    },
+    showAlerts: 'Show weather alerts',
+    showAlertsHint: 'Display warning banners and card badges',
+    backup: 'Backup',
+    alertRules: 'Alert rules'
+  },
+  rules: {
+    hint: "Get alerted when a city's weather crosses a threshold. Triggered rules show as alert banners.",
+    sender: 'Your alert rules',
+    above: '{metric} above {value}',
+    below: '{metric} below {value}',
+    within: '{condition} in the next {hours} h',
+    currentValue: 'Currently {value}',
+    forecastValue: 'Forecast to reach {value}',
+    metrics: {
+      windGust: 'Wind gusts'
+    },
+    city: 'City',
+    allCities: 'All cities',
+    when: 'When',
+    now: 'Current conditions',
+    nextHours: {
+      one: 'Next hour',
+      other: 'Next {count} hours'
+    },
+    hours: {
+      one: '{count} hour',
+      other: '{count} hours'
+    },
+    condition: 'Condition',
+    operators: {
+      above: 'Above',
+      below: 'Below'
+    },
+    threshold: 'Threshold',
+    notify: 'Browser notification',
+    cooldown: 'At most every',
+    enabled: 'Rule enabled',
+    add: 'Add rule',
+    edit: 'Edit rule',
+    delete: 'Delete rule',
+    save: 'Save rule',
+    notificationsUnsupported: "This browser doesn't support notifications.",
+    notificationsBlocked: 'Notifications are blocked for this site in your browser settings.'
+  },
+  backup: {
+    export: 'Export backup',
+    import: 'Import backup',
+    imported: 'Imported {file}',
+    merge: 'Merge',
+    replace: 'Replace',
+    skipped: '{city} (city limit reached)',
+    dashboardAdded: 'New dashboard: {dashboard}',
+    dashboardRemoved: 'Dashboard removed: {dashboard}',
+    profileAdded: 'New scoring profile: {profile}',
+    profileRemoved: 'Scoring profile removed: {profile}',
+    ruleAdded: 'New alert rule: {rule}',
+    ruleRemoved: 'Alert rule removed: {rule}',
+    noChanges: 'This backup matches your current dashboards.',
+    apply: 'Apply import',
+    exportFailed: 'Could not create the backup file',
+    saveFailed: 'Could not save the imported data',
+    errors: {
+      invalidJson: 'File is not valid JSON',
+      notBackup: 'File is not a dashboard backup',
+      unknownVersion: 'Unknown backup version: {version}',
+      newerVersion: 'Backup version {version} is newer than this app supports ({supported})',
+      validation: 'Backup failed validation',
+      noDashboards: 'Backup has no dashboards',
+      activeDashboard: "The backup's active dashboard is missing",
+      dashboardNotObject: 'Dashboard {dashboard} is not an object',
+      dashboardId: 'Dashboard {dashboard} is missing an id',
+      dashboardName: 'Dashboard {dashboard} has an invalid name',
+      dashboardLimit: 'Dashboard {dashboard} needs a city limit from 1 to {max}',
+      noCities: 'Dashboard {dashboard} has no city list',
+      preferences: 'Preferences must be an object',
+      preferenceValue: 'Preference "{key}" has an invalid value: {value}',
+      searchHistory: 'Search history must be a list',
+      cityNotObject: 'City {city} is not an object',
+      cityId: 'City {city} is missing an id',
+      cityName: 'City {city} is missing a name',
+      cityLat: 'City {city} has an invalid latitude',
+      cityLon: 'City {city} has an invalid longitude',
+      scoringProfiles: 'Scoring profiles must be an object with a profile list',
+      profileNotObject: 'Scoring profile {profile} is not an object',
+      profileId: 'Scoring profile {profile} is missing an id',
+      profileName: 'Scoring profile {profile} is missing a name',
+      profileCriteria: 'Scoring profile {profile} has no criteria',
+      criterion: 'Criterion {index} of scoring profile {profile} is invalid',
+      alertRules: 'Alert rules must be a list',
+      ruleNotObject: 'Alert rule {rule} is not an object',
+      ruleId: 'Alert rule {rule} is missing an id',
+      ruleMetric: 'Alert rule {rule} has an unknown metric',
+      ruleCondition: 'Alert rule {rule} has an invalid condition',
+      ruleWindow: 'Alert rule {rule} has an invalid time window',
+      ruleCooldown: 'Alert rule {rule} has an invalid notification interval',
+      ruleCity: 'Alert rule {rule} has an invalid city',
+      ruleFlags: 'Alert rule {rule} has invalid on/off settings'
+    }
+  },
+  units: {
+    temperatureUnit: {
+      celsius: 'Celsius',
+      fahrenheit: 'Fahrenheit'
+    },
+    windUnit: {
+      kmh: 'Kilometres per hour',
+      mph: 'Miles per hour',
+      ms: 'Metres per second',
+      knots: 'Knots',
+      beaufort: 'Beaufort scale'
+    },
+    pressureUnit: {
+      hPa: 'Hectopascals',
+      inHg: 'Inches of mercury',
+      mmHg: 'Millimetres of mercury'
+    },
+    distanceUnit: {
+      km: 'Kilometres',
+      mi: 'Miles'
+    },
+    precipUnit: {
+      mm: 'Millimetres',
+      in: 'Inches'
+    }
+  },
+  conditions: {
+    Clear: 'Clear skies',
+    Clouds: 'Cloudy',
+    Rain: 'Rainy',
+    Drizzle: 'Light rain',
+    Thunderstorm: 'Thunderstorm',
+    Snow: 'Snowy',
+    Mist: 'Misty',
+    Fog: 'Foggy',
+    Haze: 'Hazy',
+    Smoke: 'Smoky',
+    Dust: 'Dusty',
+    Sand: 'Sandy',
+    Ash: 'Volcanic ash',
+    Squall: 'Squall',
+    Tornado: 'Tornado'
+  },
+  compass: ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'],
+  uv: {
+    low: 'Low',
+    moderate: 'Moderate',
+    high: 'High',
+    veryHigh: 'Very High',
+    extreme: 'Extreme',
+    index: 'UV {value}',
+    noForecast: 'No UV index forecast for these cities yet.',
+    advice: {
+      low: 'Minimal protection needed. Sunglasses on bright days.',
+      moderate: 'Wear sunscreen and a hat, and seek shade around midday.',
+      high: 'Use SPF 30+ sunscreen, a hat and sunglasses, and limit time in the sun between 11:00 and 15:00.',
+      veryHigh: 'Take extra care: SPF 50+, protective clothing, and avoid the midday sun.',
+      extreme: 'Avoid being outside during midday hours. Unprotected skin can burn in minutes.'
+    }
+  },
+  aqi: {
+    good: 'Good',
+    fair: 'Fair',
+    moderate: 'Moderate',
+    poor: 'Poor',
+    veryPoor: 'Very Poor',
+    index: 'AQI {value}',
+    concentrationUnit: 'Concentrations in μg/m³',
+    noForecast: 'No air quality forecast for these cities yet.'
+  },
+  time: {
+    justNow: 'Just now'
+  }
+}
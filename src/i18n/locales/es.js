@@ -0,0 +1,431 @@
+// Spanish messages
+export default {
+  app: {
+    title: 'Panel del tiempo',
+    offline: 'Sin conexión. Se muestra el último tiempo conocido de tus ciudades.',
+    maxCities: 'Se alcanzó el máximo de {count} ciudades. Elimina una ciudad para añadir otra.',
+    dataProvidedBy: 'Datos proporcionados por {sources}'
+  },
+  common: {
+    retry: 'Reintentar',
+    cancel: 'Cancelar',
+    close: 'Cerrar'
+  },
+  nav: {
+    compare: 'Comparar ciudades',
+    forecast: 'Ver pronóstico',
+    hourly: 'Por horas',
+    history: 'Historial',
+    alerts: 'Alertas',
+    back: 'Volver al panel'
+  },
+  header: {
+    searchPlaceholder: 'Buscar...',
+    results: 'Resultados',
+    recent: 'Recientes',
+    useLocation: 'Usar mi ubicación',
+    addCity: 'Añadir ciudad'
+  },
+  dashboards: {
+    title: 'Paneles',
+    defaultName: 'Mis ciudades',
+    name: 'Nombre',
+    cityLimit: 'Límite de ciudades',
+    delete: 'Eliminar panel',
+    confirmDelete: 'Haz clic otra vez para eliminar',
+    newPlaceholder: 'Nombre del nuevo panel',
+    create: 'Crear panel'
+  },
+  share: {
+    copyLink: 'Copiar enlace a esta vista',
+    copied: 'Enlace copiado',
+    dashboardName: 'Ciudades compartidas'
+  },
+  empty: {
+    title: 'Aún no hay ciudades',
+    description: 'Usa la barra de búsqueda de arriba para encontrar y añadir ciudades a tu panel del tiempo.'
+  },
+  metrics: {
+    temperature: 'Temperatura',
+    feelsLike: 'Sensación térmica',
+    humidity: 'Humedad',
+    wind: 'Viento',
+    windSpeed: 'Velocidad del viento',
+    pressure: 'Presión',
+    visibility: 'Visibilidad',
+    distance: 'Distancia',
+    precipitation: 'Precipitación',
+    condition: 'Estado',
+    clouds: 'Nubosidad',
+    precipChance: 'Probabilidad de precipitación',
+    uvIndex: 'Índice UV',
+    airQuality: 'Calidad del aire'
+  },
+  card: {
+    high: 'Máx: {temp}',
+    low: 'Mín: {temp}',
+    cached: 'En caché, {time}',
+    lastKnown: 'Último dato, {time}',
+    weatherAlert: 'Alerta meteorológica',
+    removeCity: 'Eliminar ciudad',
+    reorder: 'Arrastra para reordenar, o Alt + flechas',
+    reorderLabel: 'Mover {city}',
+    moved: '{city} movida a la posición {position} de {total}',
+    select: 'Seleccionar para comparar',
+    selectLabel: 'Seleccionar {city} para comparar',
+    refreshNow: 'Actualizar ahora',
+    more: 'Más',
+    less: 'Menos',
+    next24Hours: 'Próximas 24 horas',
+    fiveDayForecast: 'Pronóstico de 5 días',
+    loadError: 'No se pudo obtener el tiempo',
+    localTime: 'Hora local',
+    sunrise: 'Amanecer',
+    sunset: 'Atardecer',
+    dayLength: 'Duración del día',
+    dayLengthValue: '{hours} h {minutes} min',
+    details: 'Ver detalles'
+  },
+  city: {
+    notFound: 'Esta ciudad no está en el panel actual.',
+    conditions: 'Condiciones actuales',
+    dewPoint: 'Punto de rocío',
+    seaLevel: 'Presión (nivel del mar)',
+    groundLevel: 'Presión (nivel del suelo)',
+    rainLastHour: 'Lluvia, última hora',
+    snowLastHour: 'Nieve, última hora',
+    windFrom: 'Del {direction}',
+    gusts: 'Rachas de hasta {speed}',
+    windCompassLabel: 'Viento del {direction} a {speed}',
+    alerts: 'Alertas meteorológicas',
+    noAlerts: 'No hay alertas activas para esta ciudad.',
+    viewHistory: 'Ver historial'
+  },
+  selection: {
+    title: 'Ciudades mostradas',
+    all: 'Todas',
+    clear: 'Borrar',
+    showingAll: 'Sin selección, se muestran todas las ciudades',
+    count: {
+      one: '{count} ciudad seleccionada',
+      other: '{count} ciudades seleccionadas'
+    }
+  },
+  compare: {
+    title: 'Comparación de ciudades',
+    subtitle: 'Métricas meteorológicas lado a lado',
+    metric: 'Métrica',
+    legendBest: '#1 indica el mejor valor, cuando uno es preferible',
+    legendHigh: 'Valores cálidos/altos',
+    legendLow: 'Valores fríos/bajos'
+  },
+  scoring: {
+    bestFor: 'Mejor ciudad para',
+    score: 'Puntuación {profile}',
+    best: 'Mejor',
+    newProfile: 'Nuevo perfil',
+    editProfile: 'Editar perfil',
+    profileName: 'Nombre del perfil',
+    idealFrom: 'Ideal desde',
+    idealTo: 'Ideal hasta',
+    tolerance: '± Tolerancia',
+    toleranceHint: 'Cuánto puede alejarse un valor del rango ideal antes de puntuar cero',
+    weight: 'Peso',
+    addCriterion: 'Añadir criterio',
+    removeCriterion: 'Quitar criterio',
+    deleteProfile: 'Eliminar perfil',
+    saveProfile: 'Guardar perfil',
+    profiles: {
+      beach: 'Día de playa',
+      running: 'Correr',
+      sightseeing: 'Turismo'
+    }
+  },
+  forecast: {
+    title: 'Pronóstico de 5 días',
+    loading: 'Cargando pronóstico...',
+    seriesHigh: '{city} (máx.)',
+    seriesLow: '{city} (mín.)'
+  },
+  hourly: {
+    title: 'Pronóstico por horas',
+    subtitle: 'Intervalos de 3 horas durante los próximos 5 días',
+    precipChance: 'Probabilidad de precipitación',
+    detailTitle: '{city} en detalle',
+    time: 'Hora',
+    conditions: 'Estado',
+    temp: 'Temp.',
+    precip: 'Precip.',
+    rainSnow: 'Lluvia / Nieve',
+    clouds: 'Nubes'
+  },
+  history: {
+    title: 'Tendencias históricas',
+    subtitle: 'Comparación de medias mensuales',
+    loading: 'Cargando datos históricos...',
+    note: 'Los datos históricos muestran medias mensuales basadas en las observaciones del último año.',
+    simulatedWarning: 'No se pudieron cargar las observaciones de algunas ciudades. Sus valores se simulan a partir de la latitud y los patrones estacionales y no deben usarse para análisis.',
+    chartSimulatedNote: 'Las barras translúcidas muestran datos simulados, no observaciones',
+    seriesSimulated: '{city} (simulado)',
+    simulatedBadge: 'Simulado',
+    avgTemperature: 'Temperatura media',
+    temperatureRange: 'Rango de temperaturas',
+    warmestMonth: 'Mes más cálido',
+    coldestMonth: 'Mes más frío',
+    avgPrecipitation: 'Precipitación media',
+    perMonth: '{amount}/mes',
+    simulatedData: 'Datos simulados',
+    basedOnDays: {
+      one: 'Basado en {count} día de observaciones',
+      other: 'Basado en {count} días de observaciones'
+    }
+  },
+  alerts: {
+    readMore: 'Leer más',
+    showLess: 'Mostrar menos',
+    source: 'Fuente: {sender}',
+    dismiss: 'Ocultar hasta que termine',
+    snooze: 'Posponer',
+    severity: {
+      minor: 'Menor',
+      moderate: 'Moderada',
+      severe: 'Grave',
+      extreme: 'Extrema'
+    }
+  },
+  alertsView: {
+    title: 'Historial de alertas',
+    subtitle: 'Todas las alertas meteorológicas recibidas para tus ciudades',
+    active: 'Activas',
+    past: 'Pasadas',
+    type: 'Tipo de alerta',
+    allTypes: 'Todos los tipos',
+    clear: 'Borrar historial',
+    confirmClear: 'Haz clic otra vez para borrar',
+    empty: 'Aún no hay alertas registradas. Las alertas del proveedor meteorológico se guardan aquí en cuanto llegan.',
+    noMatches: 'Ninguna alerta coincide con estos filtros.',
+    types: {
+      storm: 'Tormentas',
+      rain: 'Lluvia e inundaciones',
+      snow: 'Nieve e invierno',
+      wind: 'Viento',
+      heat: 'Calor',
+      cold: 'Frío',
+      fog: 'Niebla',
+      other: 'Otras'
+    }
+  },
+  dataExport: {
+    export: 'Exportar datos',
+    csv: 'CSV (hoja de cálculo)',
+    json: 'JSON',
+    png: 'Imagen PNG',
+    svg: 'Imagen SVG',
+    pdf: 'Informe PDF'
+  },
+  chartExport: {
+    export: 'Exportar gráfico'
+  },
+  report: {
+    exportDashboard: 'Exportar panel',
+    exporting: 'Exportando...',
+    title: 'Informe meteorológico',
+    generated: 'Generado el {date}',
+    currentConditions: 'Condiciones actuales',
+    city: 'Ciudad',
+    noData: 'No se han cargado datos meteorológicos',
+    alerts: 'Alertas meteorológicas',
+    noAlerts: 'No hay alertas meteorológicas activas',
+    page: 'Página {page} de {total}'
+  },
+  settings: {
+    title: 'Ajustes',
+    appearance: 'Apariencia',
+    themes: {
+      dark: 'Oscuro',
+      light: 'Claro',
+      system: 'Sistema'
+    },
+    language: 'Idioma',
+    units: 'Unidades',
+    data: 'Datos',
+    autoRefresh: 'Actualización automática',
+    autoRefreshHint: 'Actualizar las tarjetas en segundo plano',
+    refreshEvery: 'Actualizar cada',
+    minutes: {
+      one: '{count} minuto',
+      other: '{count} minutos'
+    },
+    showAlerts: 'Mostrar alertas meteorológicas',
+    showAlertsHint: 'Mostrar avisos y distintivos en las tarjetas',
+    backup: 'Copia de seguridad',
+    alertRules: 'Reglas de alerta'
+  },
+  rules: {
+    hint: 'Recibe avisos cuando el tiempo de una ciudad cruce un umbral. Las reglas activadas se muestran como banners de alerta.',
+    sender: 'Tus reglas de alerta',
+    above: '{metric} por encima de {value}',
+    below: '{metric} por debajo de {value}',
+    within: '{condition} en las próximas {hours} h',
+    currentValue: 'Ahora {value}',
+    forecastValue: 'Se prevé hasta {value}',
+    metrics: {
+      windGust: 'Rachas de viento'
+    },
+    city: 'Ciudad',
+    allCities: 'Todas las ciudades',
+    when: 'Cuándo',
+    now: 'Condiciones actuales',
+    nextHours: {
+      one: 'Próxima hora',
+      other: 'Próximas {count} horas'
+    },
+    hours: {
+      one: '{count} hora',
+      other: '{count} horas'
+    },
+    condition: 'Condición',
+    operators: {
+      above: 'Por encima',
+      below: 'Por debajo'
+    },
+    threshold: 'Umbral',
+    notify: 'Notificación del navegador',
+    cooldown: 'Como máximo cada',
+    enabled: 'Regla activa',
+    add: 'Añadir regla',
+    edit: 'Editar regla',
+    delete: 'Eliminar regla',
+    save: 'Guardar regla',
+    notificationsUnsupported: 'Este navegador no admite notificaciones.',
+    notificationsBlocked: 'Las notificaciones están bloqueadas para este sitio en la configuración del navegador.'
+  },
+  backup: {
+    export: 'Exportar copia',
+    import: 'Importar copia',
+    imported: '{file} importado',
+    merge: 'Combinar',
+    replace: 'Reemplazar',
+    skipped: '{city} (límite de ciudades alcanzado)',
+    dashboardAdded: 'Panel nuevo: {dashboard}',
+    dashboardRemoved: 'Panel eliminado: {dashboard}',
+    profileAdded: 'Nuevo perfil de puntuación: {profile}',
+    profileRemoved: 'Perfil de puntuación eliminado: {profile}',
+    ruleAdded: 'Nueva regla de alerta: {rule}',
+    ruleRemoved: 'Regla de alerta eliminada: {rule}',
+    noChanges: 'Esta copia coincide con tus paneles actuales.',
+    apply: 'Aplicar importación',
+    exportFailed: 'No se pudo crear el archivo de copia',
+    saveFailed: 'No se pudieron guardar los datos importados',
+    errors: {
+      invalidJson: 'El archivo no es un JSON válido',
+      notBackup: 'El archivo no es una copia del panel',
+      unknownVersion: 'Versión de copia desconocida: {version}',
+      newerVersion: 'La versión de copia {version} es más reciente que la admitida ({supported})',
+      validation: 'La copia no es válida',
+      noDashboards: 'La copia no contiene paneles',
+      activeDashboard: 'Falta el panel activo de la copia',
+      dashboardNotObject: 'El panel {dashboard} no es un objeto',
+      dashboardId: 'Al panel {dashboard} le falta un identificador',
+      dashboardName: 'El panel {dashboard} tiene un nombre no válido',
+      dashboardLimit: 'El panel {dashboard} necesita un límite de 1 a {max} ciudades',
+      noCities: 'El panel {dashboard} no contiene una lista de ciudades',
+      preferences: 'Las preferencias deben ser un objeto',
+      preferenceValue: 'La preferencia "{key}" tiene un valor no válido: {value}',
+      searchHistory: 'El historial de búsqueda debe ser una lista',
+      cityNotObject: 'La ciudad {city} no es un objeto',
+      cityId: 'A la ciudad {city} le falta un identificador',
+      cityName: 'A la ciudad {city} le falta un nombre',
+      cityLat: 'La ciudad {city} tiene una latitud no válida',
+      cityLon: 'La ciudad {city} tiene una longitud no válida',
+      scoringProfiles: 'Los perfiles de puntuación deben ser un objeto con una lista de perfiles',
+      profileNotObject: 'El perfil de puntuación {profile} no es un objeto',
+      profileId: 'Al perfil de puntuación {profile} le falta el id',
+      profileName: 'Al perfil de puntuación {profile} le falta el nombre',
+      profileCriteria: 'El perfil de puntuación {profile} no tiene criterios',
+      criterion: 'El criterio {index} del perfil de puntuación {profile} no es válido',
+      alertRules: 'Las reglas de alerta deben ser una lista',
+      ruleNotObject: 'La regla de alerta {rule} no es un objeto',
+      ruleId: 'A la regla de alerta {rule} le falta el id',
+      ruleMetric: 'La regla de alerta {rule} tiene una medida desconocida',
+      ruleCondition: 'La regla de alerta {rule} tiene una condición no válida',
+      ruleWindow: 'La regla de alerta {rule} tiene un periodo no válido',
+      ruleCooldown: 'La regla de alerta {rule} tiene un intervalo de aviso no válido',
+      ruleCity: 'La regla de alerta {rule} tiene una ciudad no válida',
+      ruleFlags: 'La regla de alerta {rule} tiene ajustes de activación no válidos'
+    }
+  },
+  units: {
+    temperatureUnit: {
+      celsius: 'Celsius',
+      fahrenheit: 'Fahrenheit'
+    },
+    windUnit: {
+      kmh: 'Kilómetros por hora',
+      mph: 'Millas por hora',
+      ms: 'Metros por segundo',
+      knots: 'Nudos',
+      beaufort: 'Escala de Beaufort'
+    },
+    pressureUnit: {
+      hPa: 'Hectopascales',
+      inHg: 'Pulgadas de mercurio',
+      mmHg: 'Milímetros de mercurio'
+    },
+    distanceUnit: {
+      km: 'Kilómetros',
+      mi: 'Millas'
+    },
+    precipUnit: {
+      mm: 'Milímetros',
+      in: 'Pulgadas'
+    }
+  },
+  conditions: {
+    Clear: 'Despejado',
+    Clouds: 'Nublado',
+    Rain: 'Lluvioso',
+    Drizzle: 'Llovizna',
+    Thunderstorm: 'Tormenta',
+    Snow: 'Nevado',
+    Mist: 'Neblina',
+    Fog: 'Niebla',
+    Haze: 'Calima',
+    Smoke: 'Humo',
+    Dust: 'Polvo',
+    Sand: 'Arena',
+    Ash: 'Ceniza volcánica',
+    Squall: 'Turbonada',
+    Tornado: 'Tornado'
+  },
+  compass: ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSO', 'SO', 'OSO', 'O', 'ONO', 'NO', 'NNO'],
+  uv: {
+    low: 'Bajo',
+    moderate: 'Moderado',
+    high: 'Alto',
+    veryHigh: 'Muy alto',
+    extreme: 'Extremo',
+    index: 'UV {value}',
+    noForecast: 'Aún no hay previsión del índice UV para estas ciudades.',
+    advice: {
+      low: 'Protección mínima. Gafas de sol en días luminosos.',
+      moderate: 'Usa protector solar y sombrero, y busca la sombra al mediodía.',
+      high: 'Protector solar FPS 30+, sombrero y gafas de sol, y limita el sol entre las 11:00 y las 15:00.',
+      veryHigh: 'Extrema las precauciones: FPS 50+, ropa protectora y evita el sol del mediodía.',
+      extreme: 'Evita salir en las horas centrales del día. La piel sin protección puede quemarse en minutos.'
+    }
+  },
+  aqi: {
+    good: 'Buena',
+    fair: 'Aceptable',
+    moderate: 'Moderada',
+    poor: 'Mala',
+    veryPoor: 'Muy mala',
+    index: 'ICA {value}',
+    concentrationUnit: 'Concentraciones en μg/m³',
+    noForecast: 'Aún no hay previsión de calidad del aire para estas ciudades.'
+  },
+  time: {
+    justNow: 'Ahora mismo'
+  }
+}
@@ -0,0 +1,431 @@
+// French messages
+export default {
+  app: {
+    title: 'Tableau météo',
+    offline: 'Vous êtes hors ligne. Affichage de la dernière météo connue pour vos villes.',
+    maxCities: 'Maximum de {count} villes atteint. Retirez une ville pour en ajouter une autre.',
+    dataProvidedBy: 'Données fournies par {sources}'
+  },
+  common: {
+    retry: 'Réessayer',
+    cancel: 'Annuler',
+    close: 'Fermer'
+  },
+  nav: {
+    compare: 'Comparer les villes',
+    forecast: 'Voir les prévisions',
+    hourly: 'Heure par heure',
+    history: 'Historique',
+    alerts: 'Alertes',
+    back: 'Retour au tableau de bord'
+  },
+  header: {
+    searchPlaceholder: 'Rechercher...',
+    results: 'Résultats',
+    recent: 'Récents',
+    useLocation: 'Utiliser ma position',
+    addCity: 'Ajouter une ville'
+  },
+  dashboards: {
+    title: 'Tableaux de bord',
+    defaultName: 'Mes villes',
+    name: 'Nom',
+    cityLimit: 'Limite de villes',
+    delete: 'Supprimer le tableau de bord',
+    confirmDelete: 'Cliquez à nouveau pour supprimer',
+    newPlaceholder: 'Nom du nouveau tableau de bord',
+    create: 'Créer un tableau de bord'
+  },
+  share: {
+    copyLink: 'Copier le lien vers cette vue',
+    copied: 'Lien copié',
+    dashboardName: 'Villes partagées'
+  },
+  empty: {
+    title: 'Aucune ville ajoutée',
+    description: 'Utilisez la barre de recherche ci-dessus pour trouver et ajouter des villes à votre tableau météo.'
+  },
+  metrics: {
+    temperature: 'Température',
+    feelsLike: 'Ressenti',
+    humidity: 'Humidité',
+    wind: 'Vent',
+    windSpeed: 'Vitesse du vent',
+    pressure: 'Pression',
+    visibility: 'Visibilité',
+    distance: 'Distance',
+    precipitation: 'Précipitations',
+    condition: 'Conditions',
+    clouds: 'Couverture nuageuse',
+    precipChance: 'Probabilité de précipitations',
+    uvIndex: 'Indice UV',
+    airQuality: 'Qualité de l’air'
+  },
+  card: {
+    high: 'Max : {temp}',
+    low: 'Min : {temp}',
+    cached: 'En cache, {time}',
+    lastKnown: 'Dernière valeur connue, {time}',
+    weatherAlert: 'Alerte météo',
+    removeCity: 'Retirer la ville',
+    reorder: 'Glisser pour réordonner, ou Alt + flèches',
+    reorderLabel: 'Déplacer {city}',
+    moved: '{city} déplacée en position {position} sur {total}',
+    select: 'Sélectionner pour comparer',
+    selectLabel: 'Sélectionner {city} pour comparer',
+    refreshNow: 'Actualiser',
+    more: 'Plus',
+    less: 'Moins',
+    next24Hours: 'Prochaines 24 heures',
+    fiveDayForecast: 'Prévisions sur 5 jours',
+    loadError: 'Impossible de récupérer la météo',
+    localTime: 'Heure locale',
+    sunrise: 'Lever du soleil',
+    sunset: 'Coucher du soleil',
+    dayLength: 'Durée du jour',
+    dayLengthValue: '{hours} h {minutes} min',
+    details: 'Voir les détails'
+  },
+  city: {
+    notFound: 'Cette ville ne figure pas sur le tableau de bord actuel.',
+    conditions: 'Conditions actuelles',
+    dewPoint: 'Point de rosée',
+    seaLevel: 'Pression (niveau de la mer)',
+    groundLevel: 'Pression (niveau du sol)',
+    rainLastHour: 'Pluie, dernière heure',
+    snowLastHour: 'Neige, dernière heure',
+    windFrom: 'Venant du {direction}',
+    gusts: 'Rafales jusqu’à {speed}',
+    windCompassLabel: 'Vent du {direction} à {speed}',
+    alerts: 'Alertes météo',
+    noAlerts: 'Aucune alerte en cours pour cette ville.',
+    viewHistory: 'Voir l’historique'
+  },
+  selection: {
+    title: 'Villes affichées',
+    all: 'Toutes',
+    clear: 'Effacer',
+    showingAll: 'Aucune sélection, toutes les villes sont affichées',
+    count: {
+      one: '{count} ville sélectionnée',
+      other: '{count} villes sélectionnées'
+    }
+  },
+  compare: {
+    title: 'Comparaison des villes',
+    subtitle: 'Indicateurs météo côte à côte',
+    metric: 'Indicateur',
+    legendBest: '#1 indique la meilleure valeur, quand l’une est préférable',
+    legendHigh: 'Valeurs chaudes/élevées',
+    legendLow: 'Valeurs froides/basses'
+  },
+  scoring: {
+    bestFor: 'Meilleure ville pour',
+    score: 'Score {profile}',
+    best: 'Meilleure',
+    newProfile: 'Nouveau profil',
+    editProfile: 'Modifier le profil',
+    profileName: 'Nom du profil',
+    idealFrom: 'Idéal de',
+    idealTo: 'Idéal à',
+    tolerance: '± Tolérance',
+    toleranceHint: 'Écart maximal hors de la plage idéale avant un score nul',
+    weight: 'Poids',
+    addCriterion: 'Ajouter un critère',
+    removeCriterion: 'Retirer le critère',
+    deleteProfile: 'Supprimer le profil',
+    saveProfile: 'Enregistrer le profil',
+    profiles: {
+      beach: 'Journée plage',
+      running: 'Course à pied',
+      sightseeing: 'Visite'
+    }
+  },
+  forecast: {
+    title: 'Prévisions sur 5 jours',
+    loading: 'Chargement des prévisions...',
+    seriesHigh: '{city} (max.)',
+    seriesLow: '{city} (min.)'
+  },
+  hourly: {
+    title: 'Prévisions horaires',
+    subtitle: 'Pas de 3 heures sur les 5 prochains jours',
+    precipChance: 'Probabilité de précipitations',
+    detailTitle: '{city} en détail',
+    time: 'Heure',
+    conditions: 'Conditions',
+    temp: 'Temp.',
+    precip: 'Précip.',
+    rainSnow: 'Pluie / Neige',
+    clouds: 'Nuages'
+  },
+  history: {
+    title: 'Tendances historiques',
+    subtitle: 'Comparaison des moyennes mensuelles',
+    loading: 'Chargement de l’historique...',
+    note: 'Les données historiques sont des moyennes mensuelles basées sur les observations de l’année passée.',
+    simulatedWarning: 'Les observations n’ont pas pu être chargées pour certaines villes. Leurs valeurs sont simulées à partir de la latitude et des tendances saisonnières et ne doivent pas servir à l’analyse.',
+    chartSimulatedNote: 'Les barres translucides représentent des données simulées, pas des observations',
+    seriesSimulated: '{city} (simulé)',
+    simulatedBadge: 'Simulé',
+    avgTemperature: 'Température moy.',
+    temperatureRange: 'Plage de températures',
+    warmestMonth: 'Mois le plus chaud',
+    coldestMonth: 'Mois le plus froid',
+    avgPrecipitation: 'Précipitations moy.',
+    perMonth: '{amount}/mois',
+    simulatedData: 'Données simulées',
+    basedOnDays: {
+      one: 'Basé sur {count} jour d’observations',
+      other: 'Basé sur {count} jours d’observations'
+    }
+  },
+  alerts: {
+    readMore: 'Lire la suite',
+    showLess: 'Réduire',
+    source: 'Source : {sender}',
+    dismiss: 'Masquer jusqu’à la fin',
+    snooze: 'Répéter plus tard',
+    severity: {
+      minor: 'Mineure',
+      moderate: 'Modérée',
+      severe: 'Sévère',
+      extreme: 'Extrême'
+    }
+  },
+  alertsView: {
+    title: 'Historique des alertes',
+    subtitle: 'Toutes les alertes météo reçues pour vos villes',
+    active: 'En cours',
+    past: 'Passées',
+    type: 'Type d’alerte',
+    allTypes: 'Tous les types',
+    clear: 'Effacer l’historique',
+    confirmClear: 'Cliquez encore pour effacer',
+    empty: 'Aucune alerte enregistrée pour l’instant. Les alertes du fournisseur météo sont conservées ici dès leur réception.',
+    noMatches: 'Aucune alerte ne correspond à ces filtres.',
+    types: {
+      storm: 'Orages',
+      rain: 'Pluie et inondations',
+      snow: 'Neige et hiver',
+      wind: 'Vent',
+      heat: 'Chaleur',
+      cold: 'Froid',
+      fog: 'Brouillard',
+      other: 'Autres'
+    }
+  },
+  dataExport: {
+    export: 'Exporter les données',
+    csv: 'CSV (tableur)',
+    json: 'JSON',
+    png: 'Image PNG',
+    svg: 'Image SVG',
+    pdf: 'Rapport PDF'
+  },
+  chartExport: {
+    export: 'Exporter le graphique'
+  },
+  report: {
+    exportDashboard: 'Exporter le tableau de bord',
+    exporting: 'Exportation...',
+    title: 'Rapport météo',
+    generated: 'Généré le {date}',
+    currentConditions: 'Conditions actuelles',
+    city: 'Ville',
+    noData: 'Aucune donnée météo chargée',
+    alerts: 'Alertes météo',
+    noAlerts: 'Aucune alerte météo en cours',
+    page: 'Page {page} sur {total}'
+  },
+  settings: {
+    title: 'Paramètres',
+    appearance: 'Apparence',
+    themes: {
+      dark: 'Sombre',
+      light: 'Clair',
+      system: 'Système'
+    },
+    language: 'Langue',
+    units: 'Unités',
+    data: 'Données',
+    autoRefresh: 'Actualisation automatique',
+    autoRefreshHint: 'Mettre à jour les cartes météo en arrière-plan',
+    refreshEvery: 'Actualiser toutes les',
+    minutes: {
+      one: '{count} minute',
+      other: '{count} minutes'
+    },
+    showAlerts: 'Afficher les alertes météo',
+    showAlertsHint: 'Afficher les bandeaux d’alerte et les badges des cartes',
+    backup: 'Sauvegarde',
+    alertRules: 'Règles d’alerte'
+  },
+  rules: {
+    hint: 'Soyez averti quand la météo d’une ville franchit un seuil. Les règles déclenchées s’affichent en bannières d’alerte.',
+    sender: 'Vos règles d’alerte',
+    above: '{metric} au-dessus de {value}',
+    below: '{metric} en dessous de {value}',
+    within: '{condition} dans les {hours} h',
+    currentValue: 'Actuellement {value}',
+    forecastValue: 'Jusqu’à {value} prévu',
+    metrics: {
+      windGust: 'Rafales'
+    },
+    city: 'Ville',
+    allCities: 'Toutes les villes',
+    when: 'Quand',
+    now: 'Conditions actuelles',
+    nextHours: {
+      one: 'Heure à venir',
+      other: '{count} prochaines heures'
+    },
+    hours: {
+      one: '{count} heure',
+      other: '{count} heures'
+    },
+    condition: 'Condition',
+    operators: {
+      above: 'Au-dessus',
+      below: 'En dessous'
+    },
+    threshold: 'Seuil',
+    notify: 'Notification du navigateur',
+    cooldown: 'Au plus toutes les',
+    enabled: 'Règle active',
+    add: 'Ajouter une règle',
+    edit: 'Modifier la règle',
+    delete: 'Supprimer la règle',
+    save: 'Enregistrer la règle',
+    notificationsUnsupported: 'Ce navigateur ne prend pas en charge les notifications.',
+    notificationsBlocked: 'Les notifications sont bloquées pour ce site dans les paramètres du navigateur.'
+  },
+  backup: {
+    export: 'Exporter une sauvegarde',
+    import: 'Importer une sauvegarde',
+    imported: '{file} importé',
+    merge: 'Fusionner',
+    replace: 'Remplacer',
+    skipped: '{city} (limite de villes atteinte)',
+    dashboardAdded: 'Nouveau tableau de bord : {dashboard}',
+    dashboardRemoved: 'Tableau de bord supprimé : {dashboard}',
+    profileAdded: 'Nouveau profil de score : {profile}',
+    profileRemoved: 'Profil de score supprimé : {profile}',
+    ruleAdded: 'Nouvelle règle d’alerte : {rule}',
+    ruleRemoved: 'Règle d’alerte supprimée : {rule}',
+    noChanges: 'Cette sauvegarde correspond à vos tableaux de bord actuels.',
+    apply: 'Appliquer l’import',
+    exportFailed: 'Impossible de créer le fichier de sauvegarde',
+    saveFailed: 'Impossible d’enregistrer les données importées',
+    errors: {
+      invalidJson: 'Le fichier n’est pas un JSON valide',
+      notBackup: 'Le fichier n’est pas une sauvegarde du tableau de bord',
+      unknownVersion: 'Version de sauvegarde inconnue : {version}',
+      newerVersion: 'La version de sauvegarde {version} est plus récente que celle prise en charge ({supported})',
+      validation: 'La sauvegarde n’est pas valide',
+      noDashboards: 'La sauvegarde ne contient aucun tableau de bord',
+      activeDashboard: 'Le tableau de bord actif de la sauvegarde est introuvable',
+      dashboardNotObject: 'Le tableau de bord {dashboard} n’est pas un objet',
+      dashboardId: 'Le tableau de bord {dashboard} n’a pas d’identifiant',
+      dashboardName: 'Le tableau de bord {dashboard} a un nom invalide',
+      dashboardLimit: 'Le tableau de bord {dashboard} doit avoir une limite de 1 à {max} villes',
+      noCities: 'Le tableau de bord {dashboard} ne contient pas de liste de villes',
+      preferences: 'Les préférences doivent être un objet',
+      preferenceValue: 'La préférence « {key} » a une valeur invalide : {value}',
+      searchHistory: 'L’historique de recherche doit être une liste',
+      cityNotObject: 'La ville {city} n’est pas un objet',
+      cityId: 'La ville {city} n’a pas d’identifiant',
+      cityName: 'La ville {city} n’a pas de nom',
+      cityLat: 'La ville {city} a une latitude invalide',
+      cityLon: 'La ville {city} a une longitude invalide',
+      scoringProfiles: 'Les profils de score doivent être un objet avec une liste de profils',
+      profileNotObject: 'Le profil de score {profile} n’est pas un objet',
+      profileId: 'Le profil de score {profile} n’a pas d’identifiant',
+      profileName: 'Le profil de score {profile} n’a pas de nom',
+      profileCriteria: 'Le profil de score {profile} n’a aucun critère',
+      criterion: 'Le critère {index} du profil de score {profile} est invalide',
+      alertRules: 'Les règles d’alerte doivent être une liste',
+      ruleNotObject: 'La règle d’alerte {rule} n’est pas un objet',
+      ruleId: 'La règle d’alerte {rule} n’a pas d’identifiant',
+      ruleMetric: 'La règle d’alerte {rule} a une mesure inconnue',
+      ruleCondition: 'La règle d’alerte {rule} a une condition invalide',
+      ruleWindow: 'La règle d’alerte {rule} a une période invalide',
+      ruleCooldown: 'La règle d’alerte {rule} a un intervalle de notification invalide',
+      ruleCity: 'La règle d’alerte {rule} a une ville invalide',
+      ruleFlags: 'La règle d’alerte {rule} a des réglages d’activation invalides'
+    }
+  },
+  units: {
+    temperatureUnit: {
+      celsius: 'Celsius',
+      fahrenheit: 'Fahrenheit'
+    },
+    windUnit: {
+      kmh: 'Kilomètres par heure',
+      mph: 'Miles par heure',
+      ms: 'Mètres par seconde',
+      knots: 'Nœuds',
+      beaufort: 'Échelle de Beaufort'
+    },
+    pressureUnit: {
+      hPa: 'Hectopascals',
+      inHg: 'Pouces de mercure',
+      mmHg: 'Millimètres de mercure'
+    },
+    distanceUnit: {
+      km: 'Kilomètres',
+      mi: 'Miles'
+    },
+    precipUnit: {
+      mm: 'Millimètres',
+      in: 'Pouces'
+    }
+  },
+  conditions: {
+    Clear: 'Ciel dégagé',
+    Clouds: 'Nuageux',
+    Rain: 'Pluvieux',
+    Drizzle: 'Bruine',
+    Thunderstorm: 'Orage',
+    Snow: 'Neigeux',
+    Mist: 'Brume',
+    Fog: 'Brouillard',
+    Haze: 'Brume sèche',
+    Smoke: 'Fumée',
+    Dust: 'Poussière',
+    Sand: 'Sable',
+    Ash: 'Cendres volcaniques',
+    Squall: 'Grains',
+    Tornado: 'Tornade'
+  },
+  compass: ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSO', 'SO', 'OSO', 'O', 'ONO', 'NO', 'NNO'],
+  uv: {
+    low: 'Faible',
+    moderate: 'Modéré',
+    high: 'Élevé',
+    veryHigh: 'Très élevé',
+    extreme: 'Extrême',
+    index: 'UV {value}',
+    noForecast: 'Pas encore de prévision de l’indice UV pour ces villes.',
+    advice: {
+      low: 'Protection minimale. Lunettes de soleil par temps clair.',
+      moderate: 'Crème solaire et chapeau, et restez à l’ombre vers midi.',
+      high: 'Crème solaire SPF 30+, chapeau et lunettes, et limitez l’exposition entre 11 h et 15 h.',
+      veryHigh: 'Prudence renforcée : SPF 50+, vêtements couvrants, et évitez le soleil de midi.',
+      extreme: 'Évitez de sortir aux heures les plus chaudes. La peau non protégée peut brûler en quelques minutes.'
+    }
+  },
+  aqi: {
+    good: 'Bonne',
+    fair: 'Correcte',
+    moderate: 'Moyenne',
+    poor: 'Mauvaise',
+    veryPoor: 'Très mauvaise',
+    index: 'IQA {value}',
+    concentrationUnit: 'Concentrations en μg/m³',
+    noForecast: 'Pas encore de prévision de la qualité de l’air pour ces villes.'
+  },
+  time: {
+    justNow: 'À l’instant'
+  }
+}
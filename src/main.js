@@ -1,9 +1,37 @@
 import { createApp } from 'vue'
 import App from './App.vue'
+import router from './router'
+
+// Self-hosted fonts and icons (precached by the service worker)
+import '@fontsource/dm-sans/latin-400.css'
+import '@fontsource/dm-sans/latin-500.css'
+import '@fontsource/dm-sans/latin-600.css'
+import '@fontsource/dm-sans/latin-700.css'
+import '@fontsource/outfit/latin-400.css'
+import '@fontsource/outfit/latin-500.css'
+import '@fontsource/outfit/latin-600.css'
+import '@fontsource/outfit/latin-700.css'
+import '@fontsource/jetbrains-mono/latin-300.css'
+import '@fontsource/jetbrains-mono/latin-400.css'
+import '@fontsource/jetbrains-mono/latin-500.css'
+import '@fontsource/jetbrains-mono/latin-700.css'
+import '@fortawesome/fontawesome-free/css/all.min.css'
 import './assets/main.css'
 
 // Create Vue app
 const app = createApp(App)
+app.use(router)
+
+// Mount once the first route is resolved, so deep links render straight away
+router.isReady().then(() => {
+  app.mount('#app')
+})
 
-// Mount the app
-app.mount('#app')
+// Register the service worker for offline support (production builds only)
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+      console.error('Service worker registration failed:', error)
+    })
+  })
+}
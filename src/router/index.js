@@ -0,0 +1,65 @@
+import { createRouter, createWebHistory } from 'vue-router'
+import DashboardView from '@/views/DashboardView.vue'
+
+/**
+ * App routes. Views other than the dashboard are loaded on demand, which
+ * keeps Chart.js out of the initial bundle. `citySelection` views show
+ * the selected cities (or all of them) and get the city selection bar.
+ */
+const routes = [
+  {
+    path: '/',
+    name: 'dashboard',
+    component: DashboardView
+  },
+  {
+    path: '/compare',
+    name: 'compare',
+    component: () => import('@/views/CompareView.vue'),
+    meta: { citySelection: true }
+  },
+  {
+    path: '/forecast',
+    name: 'forecast',
+    component: () => import('@/views/ForecastView.vue'),
+    meta: { citySelection: true }
+  },
+  {
+    path: '/hourly',
+    name: 'hourly',
+    component: () => import('@/views/HourlyView.vue'),
+    meta: { citySelection: true }
+  },
+  {
+    path: '/history',
+    name: 'history',
+    component: () => import('@/views/HistoryView.vue'),
+    meta: { citySelection: true }
+  },
+  {
+    path: '/alerts',
+    name: 'alerts',
+    component: () => import('@/views/AlertsView.vue')
+  },
+  {
+    path: '/city/:id',
+    name: 'city',
+    component: () => import('@/views/CityDetailView.vue')
+  },
+  {
+    path: '/:pathMatch(.*)*',
+    redirect: { name: 'dashboard' }
+  }
+]
+
+const router = createRouter({
+  history: createWebHistory(import.meta.env.BASE_URL),
+  routes,
+  scrollBehavior(to, from, savedPosition) {
+    // Query changes (cities, unit, metric) keep the scroll position
+    if (to.path === from.path) return false
+    return savedPosition || { top: 0 }
+  }
+})
+
+export default router
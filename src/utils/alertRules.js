@@ -0,0 +1,194 @@
+import { formatTemp, formatWindSpeed, formatPrecip } from '@/utils/units'
+import { formatNumber, t } from '@/i18n'
+import { generateId } from '@/utils/helpers'
+
+/**
+ * User-defined alert rules. A rule watches one metric, for one city or for
+ * every city, and triggers when the value goes above or below a threshold.
+ * With `hours` set it looks at the forecast slots starting within that many
+ * hours instead of the current conditions; the extreme slot decides.
+ *
+ * Thresholds are metric (°C, m/s, %, mm), like the weather data.
+ */
+
+const HOUR = 3600
+
+// Forecast slots are 3 hours long
+const SLOT_LENGTH = 3 * HOUR
+
+const formatPercent = (value) => `${formatNumber(Math.round(value))}%`
+
+// Metrics a rule can watch. `current` reads the current conditions and
+// `forecast` one forecast slot; a metric without `current` needs a window.
+export const RULE_METRICS = {
+  temperature: {
+    labelKey: 'metrics.temperature',
+    unitKind: 'temperatureUnit',
+    current: (weather) => weather.temp,
+    forecast: (item) => item.temp,
+    format: formatTemp,
+    defaults: { operator: 'below', threshold: 0, hours: 0 }
+  },
+  feelsLike: {
+    labelKey: 'metrics.feelsLike',
+    unitKind: 'temperatureUnit',
+    current: (weather) => weather.feelsLike,
+    forecast: (item) => item.feelsLike,
+    format: formatTemp,
+    defaults: { operator: 'above', threshold: 35, hours: 0 }
+  },
+  windSpeed: {
+    labelKey: 'metrics.windSpeed',
+    unitKind: 'windUnit',
+    current: (weather) => weather.windSpeed,
+    forecast: (item) => item.windSpeed,
+    format: formatWindSpeed,
+    defaults: { operator: 'above', threshold: 50 / 3.6, hours: 0 }
+  },
+  windGust: {
+    labelKey: 'rules.metrics.windGust',
+    unitKind: 'windUnit',
+    current: (weather) => weather.windGust,
+    forecast: (item) => item.windGust,
+    format: formatWindSpeed,
+    defaults: { operator: 'above', threshold: 70 / 3.6, hours: 0 }
+  },
+  humidity: {
+    labelKey: 'metrics.humidity',
+    current: (weather) => weather.humidity,
+    forecast: (item) => item.humidity,
+    format: formatPercent,
+    defaults: { operator: 'above', threshold: 90, hours: 0 }
+  },
+  precipChance: {
+    labelKey: 'metrics.precipChance',
+    forecast: (item) => (item.pop == null ? null : item.pop * 100),
+    format: formatPercent,
+    defaults: { operator: 'above', threshold: 70, hours: 12 }
+  },
+  precipitation: {
+    labelKey: 'metrics.precipitation',
+    unitKind: 'precipUnit',
+    current: (weather) => (weather.rain || 0) + (weather.snow || 0),
+    forecast: (item) => (item.rain || 0) + (item.snow || 0),
+    format: formatPrecip,
+    defaults: { operator: 'above', threshold: 10, hours: 12 }
+  }
+}
+
+// Look-ahead windows in hours; 0 means the current conditions
+export const RULE_WINDOWS = [0, 3, 6, 12, 24, 48]
+
+// Minimum time between two notifications for the same rule and city, in minutes
+export const RULE_COOLDOWNS = [30, 60, 180, 360, 720, 1440]
+
+/**
+ * Create a rule with the metric's default threshold
+ * @param {string} metric - Key of RULE_METRICS
+ * @returns {Object} Rule watching every city, without notifications
+ */
+export function createRule(metric = 'temperature') {
+  return {
+    id: `rule-${generateId()}`,
+    cityId: null,
+    cityName: '',
+    metric,
+    ...RULE_METRICS[metric].defaults,
+    enabled: true,
+    notify: false,
+    cooldown: 180
+  }
+}
+
+/**
+ * Check whether a rule applies to a city
+ * @param {Object} rule - Alert rule
+ * @param {string} cityId - City ID
+ * @returns {boolean}
+ */
+export function ruleAppliesTo(rule, cityId) {
+  return rule.enabled && (!rule.cityId || rule.cityId === cityId)
+}
+
+/**
+ * Describe a rule, e.g. "Wind Speed above 50 km/h in the next 12 h"
+ * @param {Object} rule - Alert rule
+ * @param {Object} units - Unit preferences
+ * @returns {string} Description
+ */
+export function describeRule(rule, units) {
+  const metric = RULE_METRICS[rule.metric]
+  const condition = t(`rules.${rule.operator}`, {
+    metric: t(metric.labelKey),
+    value: metric.format(rule.threshold, units)
+  })
+  return rule.hours > 0 ? t('rules.within', { condition, hours: rule.hours }) : condition
+}
+
+const crosses = (value, rule) => (
+  value != null && !Number.isNaN(value) &&
+  (rule.operator === 'above' ? value > rule.threshold : value < rule.threshold)
+)
+
+/**
+ * Evaluate a rule against a city's weather
+ * @param {Object} rule - Alert rule
+ * @param {Object} data - { weather, forecast }
+ * @param {number} now - Current time (Unix seconds)
+ * @returns {Object|null} { value, start, end } when triggered: the most extreme
+ *   value, and for forecast rules the span of the slots crossing the threshold
+ */
+export function evaluateRule(rule, data, now = Math.floor(Date.now() / 1000)) {
+  const metric = RULE_METRICS[rule.metric]
+  if (!metric) return null
+
+  if (!(rule.hours > 0)) {
+    if (!metric.current || !data.weather) return null
+    const value = metric.current(data.weather)
+    return crosses(value, rule) ? { value, start: null, end: null } : null
+  }
+
+  const slots = (data.forecast?.items || [])
+    .filter(item => item.dt + SLOT_LENGTH > now && item.dt <= now + rule.hours * HOUR)
+    .map(item => ({ dt: item.dt, value: metric.forecast(item) }))
+    .filter(slot => crosses(slot.value, rule))
+  if (slots.length === 0) return null
+
+  const values = slots.map(slot => slot.value)
+  return {
+    value: rule.operator === 'above' ? Math.max(...values) : Math.min(...values),
+    start: slots[0].dt,
+    end: slots[slots.length - 1].dt + SLOT_LENGTH
+  }
+}
+
+/**
+ * Evaluate every rule for a city, as alerts shaped like provider alerts
+ * @param {Array} rules - Alert rules
+ * @param {string} cityId - City ID
+ * @param {Object} data - { weather, forecast }
+ * @param {Object} units - Unit preferences, for the alert text
+ * @returns {Array} Triggered alerts, each with its `ruleId`
+ */
+export function evaluateAlertRules(rules, cityId, data, units) {
+  return rules
+    .filter(rule => ruleAppliesTo(rule, cityId))
+    .map(rule => {
+      const result = evaluateRule(rule, data)
+      if (!result) return null
+
+      const metric = RULE_METRICS[rule.metric]
+      return {
+        sender: t('rules.sender'),
+        event: describeRule(rule, units),
+        start: result.start,
+        end: result.end,
+        description: t(rule.hours > 0 ? 'rules.forecastValue' : 'rules.currentValue', {
+          value: metric.format(result.value, units)
+        }),
+        tags: [],
+        ruleId: rule.id
+      }
+    })
+    .filter(Boolean)
+}
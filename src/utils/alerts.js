@@ -0,0 +1,110 @@
+/**
+ * Weather alert classification, deduplication and ordering. Provider
+ * alerts only carry a free-text event name, so the type, icon and severity
+ * come from keywords in it.
+ */
+
+// Severity levels, lowest first; an alert's severity is an index into this
+export const SEVERITY_LEVELS = ['minor', 'moderate', 'severe', 'extreme']
+
+// Snooze lengths offered on a banner, in minutes
+export const SNOOZE_OPTIONS = [60, 240, 1440]
+
+// Checked in order: the first type with a keyword in the event wins
+const ALERT_TYPES = [
+  { type: 'storm', keywords: ['storm', 'thunder', 'tornado', 'hurricane'], icon: 'fa-cloud-bolt', severity: 2 },
+  { type: 'rain', keywords: ['rain', 'flood'], icon: 'fa-cloud-showers-heavy', severity: 1 },
+  { type: 'snow', keywords: ['snow', 'winter', 'blizzard'], icon: 'fa-snowflake', severity: 1 },
+  { type: 'wind', keywords: ['wind'], icon: 'fa-wind', severity: 1 },
+  { type: 'heat', keywords: ['heat', 'hot'], icon: 'fa-temperature-high', severity: 1 },
+  { type: 'cold', keywords: ['cold', 'freeze'], icon: 'fa-temperature-low', severity: 1 },
+  { type: 'fog', keywords: ['fog'], icon: 'fa-smog', severity: 0 }
+]
+
+const OTHER_TYPE = { type: 'other', icon: 'fa-triangle-exclamation', severity: 1 }
+
+// Triggered by one of the user's alert rules (see alertRules.js)
+const RULE_TYPE = { type: 'rule', icon: 'fa-bell', severity: 0 }
+
+// Wording that moves an alert a level up or down (e.g. "Flood Advisory" vs "Extreme Heat Warning")
+const RAISING_WORDS = ['extreme', 'emergency']
+const LOWERING_WORDS = ['advisory', 'statement']
+
+/**
+ * Classify an alert by its event name
+ * @param {Object} alert - Alert
+ * @returns {Object} { type, icon, severity } with severity an index into SEVERITY_LEVELS
+ */
+export function classifyAlert(alert) {
+  if (alert.ruleId) return { ...RULE_TYPE }
+
+  const event = alert.event?.toLowerCase() || ''
+  const match = ALERT_TYPES.find(item => item.keywords.some(keyword => event.includes(keyword))) || OTHER_TYPE
+
+  let severity = match.severity
+  if (RAISING_WORDS.some(word => event.includes(word))) severity++
+  if (LOWERING_WORDS.some(word => event.includes(word))) severity--
+
+  return {
+    type: match.type,
+    icon: match.icon,
+    severity: Math.min(Math.max(severity, 0), SEVERITY_LEVELS.length - 1)
+  }
+}
+
+/**
+ * Identify an alert. The same warning reported for several cities shares a
+ * key; a rule's alerts are kept per city, since each has its own value.
+ * A rule alert's period moves with the forecast slots it looks at, so only
+ * provider alerts are keyed on their start and end.
+ * @param {Object} alert - Alert, with cityName when it belongs to a city
+ * @returns {string} Key
+ */
+export function getAlertKey(alert) {
+  if (alert.ruleId) return ['rule', alert.ruleId, alert.cityName].join('|')
+  return [alert.sender, alert.event, alert.start, alert.end].join('|')
+}
+
+/**
+ * Check whether an alert has ended
+ * @param {Object} alert - Alert
+ * @param {number} now - Current time in ms
+ * @returns {boolean}
+ */
+export function isAlertExpired(alert, now = Date.now()) {
+  return Boolean(alert.end) && alert.end * 1000 <= now
+}
+
+/**
+ * Merge duplicate alerts, listing every city they cover, then sort them by
+ * severity (highest first), official alerts before rule alerts, then start time
+ * @param {Array} alerts - Alerts, each with cityName and timezone
+ * @returns {Array} Alerts with key, type, icon, severity and cityNames
+ */
+export function groupAlerts(alerts) {
+  const groups = new Map()
+
+  alerts.forEach(alert => {
+    const key = getAlertKey(alert)
+    const group = groups.get(key)
+
+    if (!group) {
+      groups.set(key, {
+        ...alert,
+        ...classifyAlert(alert),
+        key,
+        cityNames: alert.cityName ? [alert.cityName] : []
+      })
+    } else if (alert.cityName && !group.cityNames.includes(alert.cityName)) {
+      group.cityNames.push(alert.cityName)
+    }
+  })
+
+  return [...groups.values()]
+    .map(group => ({ ...group, cityName: group.cityNames.join(', ') }))
+    .sort((a, b) => (
+      b.severity - a.severity ||
+      Boolean(a.ruleId) - Boolean(b.ruleId) ||
+      (a.start || 0) - (b.start || 0)
+    ))
+}
@@ -0,0 +1,456 @@
+import {
+  exportData,
+  getDashboards,
+  getPreferences,
+  getScoringSettings,
+  getAlertRuleSettings,
+  DEFAULT_PREFERENCES,
+  DEFAULT_MAX_CITIES,
+  MAX_CITIES_LIMIT
+} from './storage'
+import { UNIT_OPTIONS } from './units'
+import { SCORING_METRICS } from './scoring'
+import { RULE_METRICS, RULE_WINDOWS, RULE_COOLDOWNS } from './alertRules'
+import { downloadFile } from './dataExport'
+import { generateId } from './helpers'
+import { t, LANGUAGES } from '@/i18n'
+
+/**
+ * Dashboard backups. A backup is a JSON file holding every dashboard (with
+ * its cities), preferences, layout, search history, scoring profiles and
+ * alert rules, stamped with a schema version.
+ * Older versions are migrated forward on import, then validated before
+ * anything is written to localStorage.
+ *
+ * Version history:
+ * 1 - unversioned export with only `temperatureUnit` among the unit preferences
+ * 2 - adds `version`, per-measurement unit preferences and required city ids
+ * 3 - replaces `cities` with `dashboards` (id, name, maxCities, cities) and `activeId`
+ * 4 - adds `scoringProfiles` ({ activeId, profiles }) and `alertRules`
+ */
+export const BACKUP_VERSION = 4
+
+const MAX_SEARCH_HISTORY = 10
+
+const PREFERENCE_RULES = {
+  temperatureUnit: (value) => UNIT_OPTIONS.temperatureUnit.some(o => o.value === value),
+  windUnit: (value) => UNIT_OPTIONS.windUnit.some(o => o.value === value),
+  pressureUnit: (value) => UNIT_OPTIONS.pressureUnit.some(o => o.value === value),
+  distanceUnit: (value) => UNIT_OPTIONS.distanceUnit.some(o => o.value === value),
+  precipUnit: (value) => UNIT_OPTIONS.precipUnit.some(o => o.value === value),
+  theme: (value) => ['dark', 'light', 'system'].includes(value),
+  language: (value) => LANGUAGES.some(lang => lang.value === value),
+  autoRefresh: (value) => typeof value === 'boolean',
+  refreshInterval: (value) => Number.isInteger(value) && value >= 60000,
+  showAlerts: (value) => typeof value === 'boolean'
+}
+
+// Upgrades a backup from version n (key) to n + 1
+const MIGRATIONS = {
+  1: (backup) => {
+    const imperial = backup.preferences?.temperatureUnit === 'fahrenheit'
+    return {
+      ...backup,
+      version: 2,
+      cities: (backup.cities || []).map(city => ({
+        ...city,
+        lat: Number(city.lat),
+        lon: Number(city.lon),
+        id: city.id || `${city.lat}-${city.lon}-${generateId()}`
+      })),
+      preferences: backup.preferences && {
+        windUnit: imperial ? 'mph' : 'kmh',
+        pressureUnit: imperial ? 'inHg' : 'hPa',
+        distanceUnit: imperial ? 'mi' : 'km',
+        precipUnit: imperial ? 'in' : 'mm',
+        ...backup.preferences
+      }
+    }
+  },
+  2: ({ cities, ...backup }) => {
+    const id = `dashboard-${generateId()}`
+    return {
+      ...backup,
+      version: 3,
+      activeId: id,
+      dashboards: [{
+        id,
+        name: '',
+        maxCities: Math.min(Math.max(DEFAULT_MAX_CITIES, cities?.length || 0), MAX_CITIES_LIMIT),
+        cities
+      }]
+    }
+  },
+  // Older backups hold no scoring profiles or alert rules, so importing one
+  // keeps the current ones, even when replacing
+  3: (backup) => ({ ...backup, version: 4 })
+}
+
+const isSameLocation = (a, b) => a.lat === b.lat && a.lon === b.lon
+
+// Every city of a list of dashboards, tagged with its dashboard
+const dashboardCities = (dashboards) => dashboards.flatMap(dashboard =>
+  dashboard.cities.map(city => ({ ...city, dashboardId: dashboard.id, dashboardName: dashboard.name }))
+)
+
+/**
+ * Build a backup of every dashboard
+ * @returns {Object} Versioned backup object
+ */
+export function createBackup() {
+  return {
+    version: BACKUP_VERSION,
+    ...exportData()
+  }
+}
+
+/**
+ * Download a backup of every dashboard as a JSON file
+ */
+export function downloadBackup() {
+  downloadFile(
+    JSON.stringify(createBackup(), null, 2),
+    `weather-dashboard-backup-${new Date().toISOString().split('T')[0]}.json`,
+    'application/json'
+  )
+}
+
+/**
+ * Bring a backup up to the current schema version
+ * @param {Object} backup - Parsed backup file
+ * @returns {Object} Backup at BACKUP_VERSION
+ */
+export function migrateBackup(backup) {
+  let version = backup.version ?? 1
+
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(t('backup.errors.unknownVersion', { version: backup.version }))
+  }
+  if (version > BACKUP_VERSION) {
+    throw new Error(t('backup.errors.newerVersion', { version, supported: BACKUP_VERSION }))
+  }
+
+  let migrated = backup
+  while (version < BACKUP_VERSION) {
+    migrated = MIGRATIONS[version](migrated)
+    version = migrated.version
+  }
+  return migrated
+}
+
+/**
+ * Validate a city object from a backup
+ * @param {Object} city - City object
+ * @param {number} index - Position in the backup, for messages
+ * @returns {Array<string>} Validation errors
+ */
+function validateCity(city, index) {
+  const label = city?.name || `#${index + 1}`
+
+  if (!city || typeof city !== 'object') return [t('backup.errors.cityNotObject', { city: label })]
+
+  const errors = []
+  if (typeof city.id !== 'string' || !city.id) errors.push(t('backup.errors.cityId', { city: label }))
+  if (typeof city.name !== 'string' || !city.name.trim()) errors.push(t('backup.errors.cityName', { city: label }))
+  if (typeof city.lat !== 'number' || city.lat < -90 || city.lat > 90) {
+    errors.push(t('backup.errors.cityLat', { city: label }))
+  }
+  if (typeof city.lon !== 'number' || city.lon < -180 || city.lon > 180) {
+    errors.push(t('backup.errors.cityLon', { city: label }))
+  }
+  return errors
+}
+
+/**
+ * Validate a dashboard object from a backup, with its cities
+ * @param {Object} dashboard - Dashboard object
+ * @param {number} index - Position in the backup, for messages
+ * @returns {Array<string>} Validation errors
+ */
+function validateDashboard(dashboard, index) {
+  const label = dashboard?.name || `#${index + 1}`
+
+  if (!dashboard || typeof dashboard !== 'object') return [t('backup.errors.dashboardNotObject', { dashboard: label })]
+
+  const errors = []
+  if (typeof dashboard.id !== 'string' || !dashboard.id) {
+    errors.push(t('backup.errors.dashboardId', { dashboard: label }))
+  }
+  if (typeof dashboard.name !== 'string') {
+    errors.push(t('backup.errors.dashboardName', { dashboard: label }))
+  }
+  if (!Number.isInteger(dashboard.maxCities) || dashboard.maxCities < 1 || dashboard.maxCities > MAX_CITIES_LIMIT) {
+    errors.push(t('backup.errors.dashboardLimit', { dashboard: label, max: MAX_CITIES_LIMIT }))
+  }
+  if (!Array.isArray(dashboard.cities)) {
+    errors.push(t('backup.errors.noCities', { dashboard: label }))
+  } else {
+    dashboard.cities.forEach((city, cityIndex) => errors.push(...validateCity(city, cityIndex)))
+  }
+  return errors
+}
+
+/**
+ * Validate a user scoring profile from a backup, with its criteria
+ * @param {Object} profile - Scoring profile
+ * @param {number} index - Position in the backup, for messages
+ * @returns {Array<string>} Validation errors
+ */
+function validateProfile(profile, index) {
+  const label = profile?.name || `#${index + 1}`
+
+  if (!profile || typeof profile !== 'object') return [t('backup.errors.profileNotObject', { profile: label })]
+
+  const errors = []
+  if (typeof profile.id !== 'string' || !profile.id) errors.push(t('backup.errors.profileId', { profile: label }))
+  if (typeof profile.name !== 'string' || !profile.name.trim()) {
+    errors.push(t('backup.errors.profileName', { profile: label }))
+  }
+  if (!Array.isArray(profile.criteria) || profile.criteria.length === 0) {
+    errors.push(t('backup.errors.profileCriteria', { profile: label }))
+  } else {
+    profile.criteria.forEach((criterion, criterionIndex) => {
+      const valid = criterion && typeof criterion === 'object' &&
+        criterion.metric in SCORING_METRICS &&
+        [criterion.min, criterion.max, criterion.tolerance, criterion.weight].every(Number.isFinite) &&
+        criterion.min <= criterion.max && criterion.tolerance >= 0 && criterion.weight > 0
+      if (!valid) errors.push(t('backup.errors.criterion', { profile: label, index: criterionIndex + 1 }))
+    })
+  }
+  return errors
+}
+
+/**
+ * Validate an alert rule from a backup
+ * @param {Object} rule - Alert rule
+ * @param {number} index - Position in the backup, for messages
+ * @returns {Array<string>} Validation errors
+ */
+function validateRule(rule, index) {
+  const label = `#${index + 1}`
+
+  if (!rule || typeof rule !== 'object') return [t('backup.errors.ruleNotObject', { rule: label })]
+
+  const errors = []
+  if (typeof rule.id !== 'string' || !rule.id) errors.push(t('backup.errors.ruleId', { rule: label }))
+  if (!(rule.metric in RULE_METRICS)) errors.push(t('backup.errors.ruleMetric', { rule: label }))
+  if (!['above', 'below'].includes(rule.operator) || !Number.isFinite(rule.threshold)) {
+    errors.push(t('backup.errors.ruleCondition', { rule: label }))
+  }
+  if (!RULE_WINDOWS.includes(rule.hours) || (rule.hours === 0 && !RULE_METRICS[rule.metric]?.current)) {
+    errors.push(t('backup.errors.ruleWindow', { rule: label }))
+  }
+  if (!RULE_COOLDOWNS.includes(rule.cooldown)) errors.push(t('backup.errors.ruleCooldown', { rule: label }))
+  if (rule.cityId !== null && (typeof rule.cityId !== 'string' || typeof rule.cityName !== 'string')) {
+    errors.push(t('backup.errors.ruleCity', { rule: label }))
+  }
+  if (typeof rule.enabled !== 'boolean' || typeof rule.notify !== 'boolean') {
+    errors.push(t('backup.errors.ruleFlags', { rule: label }))
+  }
+  return errors
+}
+
+/**
+ * Validate a migrated backup
+ * @param {Object} backup - Backup at BACKUP_VERSION
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+export function validateBackup(backup) {
+  const errors = []
+
+  if (!Array.isArray(backup.dashboards) || backup.dashboards.length === 0) {
+    errors.push(t('backup.errors.noDashboards'))
+  } else {
+    backup.dashboards.forEach((dashboard, index) => errors.push(...validateDashboard(dashboard, index)))
+    if (!backup.dashboards.some(dashboard => dashboard?.id === backup.activeId)) {
+      errors.push(t('backup.errors.activeDashboard'))
+    }
+  }
+
+  if (backup.preferences !== undefined) {
+    if (!backup.preferences || typeof backup.preferences !== 'object') {
+      errors.push(t('backup.errors.preferences'))
+    } else {
+      Object.entries(backup.preferences).forEach(([key, value]) => {
+        const isValid = PREFERENCE_RULES[key]
+        if (isValid && !isValid(value)) {
+          errors.push(t('backup.errors.preferenceValue', { key, value: JSON.stringify(value) }))
+        }
+      })
+    }
+  }
+
+  if (backup.searchHistory !== undefined && !Array.isArray(backup.searchHistory)) {
+    errors.push(t('backup.errors.searchHistory'))
+  }
+
+  if (backup.scoringProfiles !== undefined) {
+    const { activeId, profiles } = backup.scoringProfiles || {}
+    if (!Array.isArray(profiles) || (activeId != null && typeof activeId !== 'string')) {
+      errors.push(t('backup.errors.scoringProfiles'))
+    } else {
+      profiles.forEach((profile, index) => errors.push(...validateProfile(profile, index)))
+    }
+  }
+
+  if (backup.alertRules !== undefined) {
+    if (!Array.isArray(backup.alertRules)) {
+      errors.push(t('backup.errors.alertRules'))
+    } else {
+      backup.alertRules.forEach((rule, index) => errors.push(...validateRule(rule, index)))
+    }
+  }
+
+  return errors
+}
+
+/**
+ * Parse, migrate and validate a backup file
+ * @param {string} text - File contents
+ * @returns {Object} Backup at BACKUP_VERSION
+ */
+export function parseBackup(text) {
+  let backup
+  try {
+    backup = JSON.parse(text)
+  } catch (error) {
+    throw new Error(t('backup.errors.invalidJson'))
+  }
+
+  if (!backup || typeof backup !== 'object' || Array.isArray(backup)) {
+    throw new Error(t('backup.errors.notBackup'))
+  }
+
+  const migrated = migrateBackup(backup)
+  const errors = validateBackup(migrated)
+  if (errors.length > 0) {
+    const error = new Error(t('backup.errors.validation'))
+    error.details = errors
+    throw error
+  }
+  return migrated
+}
+
+/**
+ * Work out the dashboard state that importing a backup would produce.
+ * Merging adds each backup dashboard's cities to the current dashboard with
+ * the same id (or else the same name), or adds it as a new dashboard;
+ * replacing swaps in the backup's dashboards. Cities over a dashboard's
+ * limit are skipped. Scoring profiles and alert rules merge by id, the
+ * backup's version winning.
+ * @param {Object} backup - Validated backup
+ * @param {string} mode - 'merge' keeps current dashboards, 'replace' discards them
+ * @returns {Object} Resulting dashboards, activeId, preferences, layout,
+ *   searchHistory, scoringProfiles and alertRules, plus the skipped cities
+ */
+export function planImport(backup, mode) {
+  const current = exportData()
+  const skipped = []
+
+  // Known preference keys only
+  const incomingPrefs = Object.fromEntries(
+    Object.entries(backup.preferences || {}).filter(([key]) => key in PREFERENCE_RULES)
+  )
+
+  // Add cities to a dashboard, up to its city limit
+  const addCities = (dashboard, cities) => {
+    const result = { id: dashboard.id, name: dashboard.name, maxCities: dashboard.maxCities, cities: [...dashboard.cities] }
+    cities.forEach(city => {
+      if (result.cities.some(existing => isSameLocation(existing, city))) return
+      if (result.cities.length < result.maxCities) {
+        result.cities.push(city)
+      } else {
+        skipped.push({ ...city, dashboardId: result.id, dashboardName: result.name })
+      }
+    })
+    return result
+  }
+
+  let dashboards
+  if (mode === 'replace') {
+    dashboards = backup.dashboards.map(dashboard => addCities({ ...dashboard, cities: [] }, dashboard.cities))
+  } else {
+    dashboards = [...current.dashboards]
+    backup.dashboards.forEach(incoming => {
+      let index = dashboards.findIndex(dashboard => dashboard.id === incoming.id)
+      if (index === -1) index = dashboards.findIndex(dashboard => dashboard.name === incoming.name)
+
+      if (index === -1) {
+        dashboards.push(addCities({ ...incoming, cities: [] }, incoming.cities))
+      } else {
+        dashboards[index] = addCities(dashboards[index], incoming.cities)
+      }
+    })
+  }
+
+  // Items from the backup replace current ones with the same id
+  const mergeById = (currentItems, incoming) => [
+    ...currentItems.map(item => incoming.find(other => other.id === item.id) || item),
+    ...incoming.filter(item => !currentItems.some(other => other.id === item.id))
+  ]
+
+  let { scoringProfiles, alertRules } = current
+  if (backup.scoringProfiles) {
+    scoringProfiles = mode === 'replace'
+      ? backup.scoringProfiles
+      : { ...scoringProfiles, profiles: mergeById(scoringProfiles.profiles, backup.scoringProfiles.profiles) }
+  }
+  if (backup.alertRules) {
+    alertRules = mode === 'replace' ? backup.alertRules : mergeById(alertRules, backup.alertRules)
+  }
+
+  const baseHistory = mode === 'replace' ? [] : current.searchHistory
+  const history = [...(backup.searchHistory || []), ...baseHistory]
+    .filter((item, index, all) => all.findIndex(other => isSameLocation(other, item)) === index)
+
+  return {
+    dashboards,
+    activeId: mode === 'replace' ? backup.activeId : current.activeId,
+    skipped,
+    preferences: mode === 'replace'
+      ? { ...DEFAULT_PREFERENCES, ...incomingPrefs }
+      : { ...current.preferences, ...incomingPrefs },
+    layout: backup.layout || current.layout,
+    searchHistory: history.slice(0, MAX_SEARCH_HISTORY),
+    scoringProfiles,
+    alertRules
+  }
+}
+
+/**
+ * Describe the changes between the current dashboards and a planned import
+ * @param {Object} plan - Result of planImport
+ * @returns {Object} Added and removed dashboards; added, removed, kept and
+ *   skipped cities (tagged with dashboardId and dashboardName); changed
+ *   preferences; added and removed scoring profiles and alert rules
+ */
+export function diffImport(plan) {
+  const currentDashboards = getDashboards().dashboards
+  const currentCities = dashboardCities(currentDashboards)
+  const plannedCities = dashboardCities(plan.dashboards)
+  const currentPrefs = getPreferences()
+
+  const isSameEntry = (a, b) => a.dashboardId === b.dashboardId && isSameLocation(a, b)
+  const inPlan = (city) => plannedCities.some(planned => isSameEntry(planned, city))
+  const isCurrent = (city) => currentCities.some(existing => isSameEntry(existing, city))
+  const hasDashboard = (dashboards) => (dashboard) => dashboards.some(other => other.id === dashboard.id)
+  const notIn = (items) => (item) => !items.some(other => other.id === item.id)
+  const currentProfiles = getScoringSettings().profiles
+  const currentRules = getAlertRuleSettings().rules
+
+  return {
+    addedDashboards: plan.dashboards.filter(dashboard => !hasDashboard(currentDashboards)(dashboard)),
+    removedDashboards: currentDashboards.filter(dashboard => !hasDashboard(plan.dashboards)(dashboard)),
+    added: plannedCities.filter(city => !isCurrent(city)),
+    removed: currentCities.filter(city => !inPlan(city)),
+    kept: currentCities.filter(inPlan),
+    skipped: plan.skipped,
+    preferences: Object.keys(plan.preferences)
+      .filter(key => plan.preferences[key] !== currentPrefs[key])
+      .map(key => ({ key, from: currentPrefs[key], to: plan.preferences[key] })),
+    addedProfiles: plan.scoringProfiles.profiles.filter(notIn(currentProfiles)),
+    removedProfiles: currentProfiles.filter(notIn(plan.scoringProfiles.profiles)),
+    addedRules: plan.alertRules.filter(notIn(currentRules)),
+    removedRules: currentRules.filter(notIn(plan.alertRules))
+  }
+}
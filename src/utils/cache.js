@@ -0,0 +1,154 @@
+// LocalStorage key prefix for cached API responses
+const CACHE_PREFIX = 'weather_dashboard_cache:'
+
+// Entries older than this are never served, even as stale data
+const MAX_STALE_AGE = 24 * 60 * 60 * 1000 // 24 hours
+
+// Revalidations in flight, keyed by cache key
+const pendingRequests = new Map()
+
+/**
+ * Build a cache key for an endpoint and location
+ * @param {string} endpoint - Endpoint name (e.g. 'openweathermap/current')
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {string} Cache key
+ */
+export function getCacheKey(endpoint, lat, lon) {
+  // ~100 m precision, so tiny coordinate differences share an entry
+  return `${endpoint}@${Number(lat).toFixed(3)},${Number(lon).toFixed(3)}`
+}
+
+/**
+ * Read a cache entry
+ * @param {string} key - Cache key
+ * @returns {Object|null} Entry with data and cachedAt, or null
+ */
+export function readCache(key) {
+  try {
+    const entry = localStorage.getItem(CACHE_PREFIX + key)
+    return entry ? JSON.parse(entry) : null
+  } catch (error) {
+    console.error('Error reading cache entry:', error)
+    return null
+  }
+}
+
+/**
+ * List cached keys, oldest entry first
+ * @returns {Array<string>} Storage keys
+ */
+function getCacheKeysByAge() {
+  return Object.keys(localStorage)
+    .filter(key => key.startsWith(CACHE_PREFIX))
+    .map(key => {
+      try {
+        return { key, cachedAt: JSON.parse(localStorage.getItem(key))?.cachedAt ?? 0 }
+      } catch (error) {
+        // Unreadable entries are the first to go
+        return { key, cachedAt: 0 }
+      }
+    })
+    .sort((a, b) => a.cachedAt - b.cachedAt)
+    .map(({ key }) => key)
+}
+
+/**
+ * Write a cache entry, evicting the oldest entries while storage is full
+ * @param {string} key - Cache key
+ * @param {*} data - Data to cache
+ * @returns {number|null} Timestamp the entry was cached at, or null if it
+ *   could not be stored
+ */
+export function writeCache(key, data) {
+  const cachedAt = Date.now()
+  const entry = JSON.stringify({ data, cachedAt })
+
+  try {
+    localStorage.setItem(CACHE_PREFIX + key, entry)
+    return cachedAt
+  } catch (error) {
+    // Most likely the quota is exceeded: make room one entry at a time
+    try {
+      for (const oldKey of getCacheKeysByAge()) {
+        localStorage.removeItem(oldKey)
+        try {
+          localStorage.setItem(CACHE_PREFIX + key, entry)
+          return cachedAt
+        } catch (retryError) {
+          // Still full, evict the next oldest entry
+        }
+      }
+    } catch (evictError) {
+      console.error('Error evicting cache entries:', evictError)
+    }
+
+    console.error('Error writing cache entry:', error)
+    return null
+  }
+}
+
+/**
+ * Remove all cached responses
+ */
+export function clearCache() {
+  try {
+    Object.keys(localStorage)
+      .filter(key => key.startsWith(CACHE_PREFIX))
+      .forEach(key => localStorage.removeItem(key))
+  } catch (error) {
+    console.error('Error clearing cache:', error)
+  }
+}
+
+/**
+ * Fetch fresh data once per key, sharing the promise between callers
+ * @param {string} key - Cache key
+ * @param {Function} fetcher - Async function returning fresh data
+ * @returns {Promise<Object>} Entry with data and cachedAt
+ */
+function revalidate(key, fetcher) {
+  if (pendingRequests.has(key)) {
+    return pendingRequests.get(key)
+  }
+
+  const request = fetcher()
+    .then(data => ({ data, cachedAt: writeCache(key, data) }))
+    .finally(() => pendingRequests.delete(key))
+
+  pendingRequests.set(key, request)
+  return request
+}
+
+/**
+ * Serve data from the cache with stale-while-revalidate semantics.
+ * Fresh entries are returned as-is; stale entries are returned immediately
+ * while a background request refreshes them; missing entries are fetched.
+ * @param {string} key - Cache key
+ * @param {number} ttl - Time in ms an entry stays fresh
+ * @param {Function} fetcher - Async function returning fresh data
+ * @param {Object} options
+ * @param {boolean} options.force - Skip the cache and fetch fresh data
+ * @param {Function} options.onRevalidate - Called with (data, cachedAt) when a
+ *   stale entry has been refreshed in the background
+ * @returns {Promise<Object>} Entry with data, cachedAt and stale flag
+ */
+export async function cachedFetch(key, ttl, fetcher, { force = false, onRevalidate } = {}) {
+  const entry = force ? null : readCache(key)
+  const age = entry ? Date.now() - entry.cachedAt : Infinity
+
+  if (age < ttl) {
+    return { ...entry, stale: false }
+  }
+
+  if (age < MAX_STALE_AGE) {
+    revalidate(key, fetcher)
+      .then(fresh => onRevalidate?.(fresh.data, fresh.cachedAt))
+      .catch(error => console.error('Error revalidating cache entry:', error))
+
+    return { ...entry, stale: true }
+  }
+
+  const fresh = await revalidate(key, fetcher)
+  return { ...fresh, stale: false }
+}
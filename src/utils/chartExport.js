@@ -0,0 +1,396 @@
+import { BasicPlatform, Chart } from 'chart.js'
+
+/**
+ * Image export for Chart.js charts. Charts draw on a transparent canvas,
+ * so images are composited onto a solid background first.
+ */
+
+/**
+ * Render a chart to a PNG data URL
+ * @param {Chart} chart - Chart.js instance
+ * @param {string} background - Background colour
+ * @returns {string} PNG data URL
+ */
+export function chartToPng(chart, background) {
+  const source = chart.canvas
+  const canvas = document.createElement('canvas')
+  canvas.width = source.width
+  canvas.height = source.height
+
+  const context = canvas.getContext('2d')
+  context.fillStyle = background
+  context.fillRect(0, 0, canvas.width, canvas.height)
+  context.drawImage(source, 0, 0)
+
+  return canvas.toDataURL('image/png')
+}
+
+const TAU = Math.PI * 2
+
+const TEXT_ANCHORS = { left: 'start', start: 'start', center: 'middle', right: 'end', end: 'end' }
+const TEXT_BASELINES = {
+  top: 'text-before-edge',
+  hanging: 'hanging',
+  middle: 'central',
+  alphabetic: 'alphabetic',
+  ideographic: 'ideographic',
+  bottom: 'text-after-edge'
+}
+
+const escapeXml = (text) => String(text).replace(/[<>&"]/g, char => `&#${char.charCodeAt(0)};`)
+const round = (value) => Math.round(value * 100) / 100
+
+/**
+ * The subset of CanvasRenderingContext2D that Chart.js draws with, recorded
+ * as SVG elements. Paths are stored in device coordinates so clipping and
+ * transforms need no nesting; text keeps its own transform.
+ */
+class SvgContext {
+  constructor(canvas) {
+    this.canvas = canvas
+    this.elements = []
+    this.clipPaths = []
+    this.stack = []
+    this.path = ''
+    this.measurer = document.createElement('canvas').getContext('2d')
+
+    this.matrix = [1, 0, 0, 1, 0, 0]
+    this.fillStyle = '#000000'
+    this.strokeStyle = '#000000'
+    this.lineWidth = 1
+    this.lineCap = 'butt'
+    this.lineJoin = 'miter'
+    this.font = '10px sans-serif'
+    this.textAlign = 'start'
+    this.textBaseline = 'alphabetic'
+    this.globalAlpha = 1
+    this.lineDash = []
+    this.lineDashOffset = 0
+    this.clipId = null
+  }
+
+  get state() {
+    const {
+      matrix, fillStyle, strokeStyle, lineWidth, lineCap, lineJoin, font,
+      textAlign, textBaseline, globalAlpha, lineDash, lineDashOffset, clipId
+    } = this
+    return {
+      matrix, fillStyle, strokeStyle, lineWidth, lineCap, lineJoin, font,
+      textAlign, textBaseline, globalAlpha, lineDash, lineDashOffset, clipId
+    }
+  }
+
+  save() {
+    this.stack.push(this.state)
+  }
+
+  restore() {
+    const state = this.stack.pop()
+    if (state) Object.assign(this, state)
+  }
+
+  // Transforms
+
+  setTransform(a, b, c, d, e, f) {
+    this.matrix = [a, b, c, d, e, f]
+  }
+
+  resetTransform() {
+    this.setTransform(1, 0, 0, 1, 0, 0)
+  }
+
+  transform(a2, b2, c2, d2, e2, f2) {
+    const [a, b, c, d, e, f] = this.matrix
+    this.matrix = [
+      a * a2 + c * b2, b * a2 + d * b2,
+      a * c2 + c * d2, b * c2 + d * d2,
+      a * e2 + c * f2 + e, b * e2 + d * f2 + f
+    ]
+  }
+
+  translate(x, y) {
+    this.transform(1, 0, 0, 1, x, y)
+  }
+
+  rotate(angle) {
+    const cos = Math.cos(angle)
+    const sin = Math.sin(angle)
+    this.transform(cos, sin, -sin, cos, 0, 0)
+  }
+
+  scale(x, y) {
+    this.transform(x, 0, 0, y, 0, 0)
+  }
+
+  point(x, y) {
+    const [a, b, c, d, e, f] = this.matrix
+    return `${round(a * x + c * y + e)} ${round(b * x + d * y + f)}`
+  }
+
+  get scaleFactor() {
+    const [a, b, c, d] = this.matrix
+    return Math.sqrt(Math.abs(a * d - b * c))
+  }
+
+  // Paths
+
+  beginPath() {
+    this.path = ''
+  }
+
+  closePath() {
+    if (this.path) this.path += 'Z'
+  }
+
+  moveTo(x, y) {
+    this.path += `M${this.point(x, y)}`
+  }
+
+  lineTo(x, y) {
+    this.path += `${this.path ? 'L' : 'M'}${this.point(x, y)}`
+  }
+
+  quadraticCurveTo(cpx, cpy, x, y) {
+    this.path += `Q${this.point(cpx, cpy)} ${this.point(x, y)}`
+  }
+
+  bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y) {
+    this.path += `C${this.point(cp1x, cp1y)} ${this.point(cp2x, cp2y)} ${this.point(x, y)}`
+  }
+
+  rect(x, y, width, height) {
+    this.path += this.rectPath(x, y, width, height)
+  }
+
+  rectPath(x, y, width, height) {
+    return `M${this.point(x, y)}L${this.point(x + width, y)}L${this.point(x + width, y + height)}L${this.point(x, y + height)}Z`
+  }
+
+  arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+    this.ellipse(x, y, radius, radius, 0, startAngle, endAngle, counterclockwise)
+  }
+
+  ellipse(x, y, radiusX, radiusY, rotation, startAngle, endAngle, counterclockwise = false) {
+    const pointAt = (angle) => {
+      const px = radiusX * Math.cos(angle)
+      const py = radiusY * Math.sin(angle)
+      return this.point(
+        x + px * Math.cos(rotation) - py * Math.sin(rotation),
+        y + px * Math.sin(rotation) + py * Math.cos(rotation)
+      )
+    }
+
+    let sweep = counterclockwise ? startAngle - endAngle : endAngle - startAngle
+    if (sweep >= TAU) {
+      sweep = TAU
+    } else {
+      sweep = ((sweep % TAU) + TAU) % TAU
+    }
+    const direction = counterclockwise ? -1 : 1
+    const [a, b] = this.matrix
+    const angle = round((rotation + Math.atan2(b, a)) * 180 / Math.PI)
+    const radii = `${round(radiusX * this.scaleFactor)} ${round(radiusY * this.scaleFactor)}`
+    const flag = counterclockwise ? 0 : 1
+
+    this.path += `${this.path ? 'L' : 'M'}${pointAt(startAngle)}`
+    if (sweep === TAU) {
+      // An SVG arc cannot end where it starts, so draw full turns as two halves
+      this.path += `A${radii} ${angle} 0 ${flag} ${pointAt(startAngle + direction * Math.PI)}`
+      this.path += `A${radii} ${angle} 0 ${flag} ${pointAt(startAngle)}`
+    } else if (sweep > 0) {
+      const largeArc = sweep > Math.PI ? 1 : 0
+      this.path += `A${radii} ${angle} ${largeArc} ${flag} ${pointAt(startAngle + direction * sweep)}`
+    }
+  }
+
+  // Drawing
+
+  attributes() {
+    const attributes = []
+    if (this.globalAlpha < 1) attributes.push(`opacity="${round(this.globalAlpha)}"`)
+    if (this.clipId) attributes.push(this.clipAttribute)
+    return attributes
+  }
+
+  get clipAttribute() {
+    return `clip-path="url(#${this.clipId})"`
+  }
+
+  fillAttributes(fillRule) {
+    return [`fill="${escapeXml(this.fillStyle)}"`, fillRule === 'evenodd' ? 'fill-rule="evenodd"' : '']
+  }
+
+  strokeAttributes() {
+    const scale = this.scaleFactor
+    const attributes = [
+      'fill="none"',
+      `stroke="${escapeXml(this.strokeStyle)}"`,
+      `stroke-width="${round(this.lineWidth * scale)}"`,
+      `stroke-linecap="${this.lineCap}"`,
+      `stroke-linejoin="${this.lineJoin}"`
+    ]
+    if (this.lineDash.length) {
+      attributes.push(`stroke-dasharray="${this.lineDash.map(value => round(value * scale)).join(' ')}"`)
+      attributes.push(`stroke-dashoffset="${round(this.lineDashOffset * scale)}"`)
+    }
+    return attributes
+  }
+
+  addPath(path, attributes) {
+    if (!path) return
+    const all = [`d="${path}"`, ...attributes, ...this.attributes()].filter(Boolean)
+    this.elements.push(`<path ${all.join(' ')}/>`)
+  }
+
+  fill(fillRule) {
+    this.addPath(this.path, this.fillAttributes(fillRule))
+  }
+
+  stroke() {
+    this.addPath(this.path, this.strokeAttributes())
+  }
+
+  fillRect(x, y, width, height) {
+    this.addPath(this.rectPath(x, y, width, height), this.fillAttributes())
+  }
+
+  strokeRect(x, y, width, height) {
+    this.addPath(this.rectPath(x, y, width, height), this.strokeAttributes())
+  }
+
+  clearRect(x, y, width, height) {
+    // Chart.js only clears the whole canvas, before a redraw
+    if (x <= 0 && y <= 0 && width >= this.canvas.width && height >= this.canvas.height) {
+      this.elements = []
+    }
+  }
+
+  clip() {
+    const id = `clip-${this.clipPaths.length}`
+    const parent = this.clipId ? ` clip-path="url(#${this.clipId})"` : ''
+    this.clipPaths.push(`<clipPath id="${id}"${parent}><path d="${this.path}"/></clipPath>`)
+    this.clipId = id
+  }
+
+  setLineDash(segments) {
+    this.lineDash = segments.length % 2 ? [...segments, ...segments] : [...segments]
+  }
+
+  getLineDash() {
+    return [...this.lineDash]
+  }
+
+  measureText(text) {
+    this.measurer.font = this.font
+    return this.measurer.measureText(text)
+  }
+
+  addText(text, x, y, paint) {
+    const attributes = [
+      `transform="matrix(${this.matrix.map(round).join(' ')})"`,
+      `x="${round(x)}"`,
+      `y="${round(y)}"`,
+      `style="font: ${escapeXml(this.font)}"`,
+      `text-anchor="${TEXT_ANCHORS[this.textAlign] || 'start'}"`,
+      `dominant-baseline="${TEXT_BASELINES[this.textBaseline] || 'alphabetic'}"`,
+      paint
+    ]
+    if (this.globalAlpha < 1) attributes.push(`opacity="${round(this.globalAlpha)}"`)
+    const element = `<text ${attributes.join(' ')}>${escapeXml(text)}</text>`
+    // Clip paths resolve in the referencing element's transformed space, so
+    // clip a wrapping group that shares the device coordinates of the paths
+    this.elements.push(this.clipId ? `<g ${this.clipAttribute}>${element}</g>` : element)
+  }
+
+  fillText(text, x, y) {
+    this.addText(text, x, y, `fill="${escapeXml(this.fillStyle)}"`)
+  }
+
+  strokeText(text, x, y) {
+    this.addText(text, x, y, `fill="none" stroke="${escapeXml(this.strokeStyle)}" stroke-width="${round(this.lineWidth)}"`)
+  }
+
+  drawImage() {
+    // Only image point styles draw images, and the dashboard uses none
+  }
+}
+
+/**
+ * Render a chart to an SVG document by redrawing it through an SVG
+ * recording context, so lines, bars and text stay vector shapes
+ * @param {Chart} chart - Chart.js instance
+ * @param {string} background - Background colour
+ * @param {string} title - Document title
+ * @returns {string} SVG markup
+ */
+export function chartToSvg(chart, background, title = '') {
+  const { width, height } = chart
+  const canvas = { width, height, style: {}, getContext: () => context }
+  const context = new SvgContext(canvas)
+  const { type, data, options, plugins } = chart.config
+
+  const svgChart = new Chart(canvas, {
+    type,
+    plugins,
+    data: {
+      labels: [...(data.labels || [])],
+      // Lines normally stroke a cached Path2D, which a recording context
+      // cannot read; a segment option makes Chart.js draw them point by point
+      datasets: data.datasets.map(dataset => ({
+        ...dataset,
+        data: [...dataset.data],
+        segment: dataset.segment || {}
+      }))
+    },
+    options: {
+      ...options,
+      responsive: false,
+      animation: false,
+      devicePixelRatio: 1
+    },
+    platform: BasicPlatform
+  })
+  // Destroying the chart clears the canvas, so take the drawing first
+  const { elements, clipPaths } = context
+  svgChart.destroy()
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `  <title>${escapeXml(title)}</title>`,
+    `  <defs>${clipPaths.join('')}</defs>`,
+    `  <rect width="${width}" height="${height}" fill="${escapeXml(background)}"/>`,
+    ...elements.map(element => `  ${element}`),
+    '</svg>'
+  ].join('\n')
+}
+
+/**
+ * Render a chart configuration off-screen, for reports
+ * @param {Object} config - Chart.js configuration (type, data, options)
+ * @param {Object} size - { width, height } in CSS pixels
+ * @param {string} background - Background colour
+ * @returns {string} PNG data URL
+ */
+export function renderChartImage(config, { width, height }, background) {
+  const canvas = document.createElement('canvas')
+  canvas.style.width = `${width}px`
+  canvas.style.height = `${height}px`
+  canvas.width = width
+  canvas.height = height
+
+  const chart = new Chart(canvas, {
+    ...config,
+    options: {
+      ...config.options,
+      responsive: false,
+      animation: false,
+      devicePixelRatio: 2
+    }
+  })
+
+  try {
+    return chartToPng(chart, background)
+  } finally {
+    chart.destroy()
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * City colours for chart series and legends. The first cities get the
+ * brand palette; after that colours are generated by stepping the hue by
+ * the golden angle, so any number of cities stays distinguishable.
+ */
+const BASE_COLORS = [
+  '#0EA5E9',
+  '#FF7A00',
+  '#10B981',
+  '#8B5CF6',
+  '#F43F5E',
+  '#FBBF24'
+]
+
+const GOLDEN_ANGLE = 137.508
+
+/**
+ * Convert an HSL colour to hex
+ * @param {number} hue - Hue in degrees
+ * @param {number} saturation - Saturation (0-100)
+ * @param {number} lightness - Lightness (0-100)
+ * @returns {string} Hex colour (#RRGGBB)
+ */
+function hslToHex(hue, saturation, lightness) {
+  const s = saturation / 100
+  const l = lightness / 100
+  const a = s * Math.min(l, 1 - l)
+  const channel = (n) => {
+    const k = (n + hue / 30) % 12
+    const value = l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1))
+    return Math.round(value * 255).toString(16).padStart(2, '0')
+  }
+  return `#${channel(0)}${channel(8)}${channel(4)}`.toUpperCase()
+}
+
+/**
+ * Get the colour for the city at a position
+ * @param {number} index - City position
+ * @returns {string} Hex colour (#RRGGBB)
+ */
+export function getCityColor(index) {
+  if (index < BASE_COLORS.length) return BASE_COLORS[index]
+
+  const step = index - BASE_COLORS.length
+  const hue = (20 + step * GOLDEN_ANGLE) % 360
+  // Alternate lightness so neighbouring hues differ more
+  const lightness = step % 2 === 0 ? 55 : 65
+  return hslToHex(hue, 75, lightness)
+}
+
+/**
+ * Add transparency to a hex colour
+ * @param {string} hex - Hex colour (#RRGGBB)
+ * @param {number} alpha - Opacity (0-1)
+ * @returns {string} rgba() colour
+ */
+export function withAlpha(hex, alpha) {
+  const value = parseInt(hex.slice(1), 16)
+  return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`
+}
@@ -0,0 +1,260 @@
+import { processForecastData } from './helpers'
+import {
+  getUnitSymbol,
+  convertTemp,
+  convertWind,
+  convertPressure,
+  convertDistance,
+  convertPrecip
+} from './units'
+
+/**
+ * CSV and JSON downloads of the comparison, forecast and historical data.
+ * A dataset is { type, columns, rows }: each column has a stable `key`
+ * (used for JSON fields and CSV headers) and an optional `unit`. Values are
+ * converted to the user's units; numbers keep a dot decimal separator and
+ * times are ISO 8601 so the files load cleanly into analysis tools.
+ */
+
+const round = (value, decimals = 1) => {
+  if (value === null || value === undefined || Number.isNaN(value)) return null
+  const factor = 10 ** decimals
+  return Math.round(value * factor) / factor
+}
+
+const toIso = (timestamp) => (timestamp ? new Date(timestamp * 1000).toISOString() : null)
+
+const cityColumns = [
+  { key: 'city' },
+  { key: 'country' },
+  { key: 'lat' },
+  { key: 'lon' }
+]
+
+const cityValues = (city) => ({
+  city: city.name,
+  country: city.country || null,
+  lat: city.lat,
+  lon: city.lon
+})
+
+/**
+ * Current conditions per city, as in the comparison table
+ * @param {Array} cities - City objects
+ * @param {Object} weatherData - Weather data keyed by city ID
+ * @param {Object} units - User preferences
+ * @returns {Object} Dataset
+ */
+export function buildComparisonDataset(cities, weatherData, units) {
+  const columns = [
+    ...cityColumns,
+    { key: 'observedAt' },
+    { key: 'temperature', unit: getUnitSymbol('temperatureUnit', units) },
+    { key: 'feelsLike', unit: getUnitSymbol('temperatureUnit', units) },
+    { key: 'humidity', unit: '%' },
+    { key: 'windSpeed', unit: getUnitSymbol('windUnit', units) },
+    { key: 'windDirection', unit: '°' },
+    { key: 'pressure', unit: getUnitSymbol('pressureUnit', units) },
+    { key: 'visibility', unit: getUnitSymbol('distanceUnit', units) },
+    { key: 'clouds', unit: '%' },
+    { key: 'airQualityIndex' },
+    { key: 'uvIndex' },
+    { key: 'condition' }
+  ]
+
+  const rows = cities.map(city => {
+    const weather = weatherData[city.id]?.weather
+    return {
+      ...cityValues(city),
+      observedAt: toIso(weather?.dt),
+      temperature: round(convertTemp(weather?.temp, units)),
+      feelsLike: round(convertTemp(weather?.feelsLike, units)),
+      humidity: weather?.humidity ?? null,
+      windSpeed: round(convertWind(weather?.windSpeed, units)),
+      windDirection: weather?.windDeg ?? null,
+      pressure: round(convertPressure(weather?.pressure, units), 2),
+      visibility: round(convertDistance(weather?.visibility, units)),
+      clouds: weather?.clouds ?? null,
+      airQualityIndex: weatherData[city.id]?.airQuality?.aqi ?? null,
+      uvIndex: round(weatherData[city.id]?.uvIndex?.current),
+      condition: weather?.description || null
+    }
+  })
+
+  return { type: 'comparison', columns, rows }
+}
+
+/**
+ * Daily forecast series per city (processForecastData), dated in the city's timezone
+ * @param {Array} cities - City objects
+ * @param {Object} weatherData - Weather data keyed by city ID
+ * @param {Object} units - User preferences
+ * @returns {Object} Dataset
+ */
+export function buildForecastDataset(cities, weatherData, units) {
+  const columns = [
+    { key: 'city' },
+    { key: 'date' },
+    { key: 'firstSlotAt' },
+    { key: 'tempMin', unit: getUnitSymbol('temperatureUnit', units) },
+    { key: 'tempMax', unit: getUnitSymbol('temperatureUnit', units) },
+    { key: 'tempAvg', unit: getUnitSymbol('temperatureUnit', units) },
+    { key: 'humidity', unit: '%' },
+    { key: 'windSpeed', unit: getUnitSymbol('windUnit', units) },
+    { key: 'condition' }
+  ]
+
+  const rows = cities.flatMap(city => {
+    const forecast = weatherData[city.id]?.forecast
+    if (!forecast?.items) return []
+
+    return processForecastData(forecast.items, forecast.timezone).map(day => ({
+      city: city.name,
+      date: day.date,
+      firstSlotAt: toIso(day.dt),
+      tempMin: round(convertTemp(day.tempMin, units)),
+      tempMax: round(convertTemp(day.tempMax, units)),
+      tempAvg: round(convertTemp(day.tempAvg, units)),
+      humidity: day.humidity,
+      windSpeed: round(convertWind(day.wind, units)),
+      condition: day.condition
+    }))
+  })
+
+  return { type: 'forecast', columns, rows }
+}
+
+/**
+ * Monthly aggregates per city, as shown in the historical view
+ * @param {Array} cities - City objects
+ * @param {Object} historicalData - Monthly summaries keyed by city ID
+ * @param {Array<string>} simulatedCityIds - Cities whose data is simulated
+ * @param {Object} units - User preferences
+ * @returns {Object} Dataset
+ */
+export function buildHistoricalDataset(cities, historicalData, simulatedCityIds, units) {
+  const columns = [
+    { key: 'city' },
+    { key: 'month' },
+    { key: 'tempMean', unit: getUnitSymbol('temperatureUnit', units) },
+    { key: 'tempMin', unit: getUnitSymbol('temperatureUnit', units) },
+    { key: 'tempMax', unit: getUnitSymbol('temperatureUnit', units) },
+    { key: 'precipTotal', unit: getUnitSymbol('precipUnit', units) },
+    { key: 'humidityMean', unit: '%' },
+    { key: 'dayCount' },
+    { key: 'simulated' }
+  ]
+
+  const rows = cities.flatMap(city => (historicalData[city.id] || []).map(month => ({
+    city: city.name,
+    month: month.month + 1,
+    tempMean: round(convertTemp(month.tempMean, units)),
+    tempMin: round(convertTemp(month.tempMin, units)),
+    tempMax: round(convertTemp(month.tempMax, units)),
+    precipTotal: round(convertPrecip(month.precipTotal, units), 2),
+    humidityMean: round(month.humidityMean),
+    dayCount: month.dayCount,
+    simulated: simulatedCityIds.includes(city.id)
+  })))
+
+  return { type: 'historical', columns, rows }
+}
+
+/**
+ * Quote a CSV field when needed
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return ''
+  const text = String(value)
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Serialise a dataset as CSV. Comment lines starting with '#' carry the
+ * dataset type and export time; headers carry units, e.g. "temperature (°C)".
+ * @param {Object} dataset - Dataset
+ * @param {Date} exportedAt - Export time
+ * @returns {string} CSV text
+ */
+export function toCsv(dataset, exportedAt = new Date()) {
+  const header = dataset.columns.map(column => csvField(column.unit ? `${column.key} (${column.unit})` : column.key))
+  const lines = dataset.rows.map(row => dataset.columns.map(column => csvField(row[column.key])).join(','))
+
+  return [
+    `# ${dataset.type}`,
+    `# exportedAt: ${exportedAt.toISOString()}`,
+    header.join(','),
+    ...lines
+  ].join('\r\n')
+}
+
+/**
+ * Serialise a dataset as JSON, with units and export time alongside the rows
+ * @param {Object} dataset - Dataset
+ * @param {Date} exportedAt - Export time
+ * @returns {string} JSON text
+ */
+export function toJson(dataset, exportedAt = new Date()) {
+  const units = Object.fromEntries(
+    dataset.columns.filter(column => column.unit).map(column => [column.key, column.unit])
+  )
+  return JSON.stringify({
+    type: dataset.type,
+    exportedAt: exportedAt.toISOString(),
+    units,
+    rows: dataset.rows
+  }, null, 2)
+}
+
+// How long a download's object URL stays valid, in ms
+const OBJECT_URL_LIFETIME = 60 * 1000
+
+/**
+ * Trigger a browser download
+ * @param {string} content - File contents
+ * @param {string} fileName - File name
+ * @param {string} mimeType - MIME type
+ */
+export function downloadFile(content, fileName, mimeType) {
+  const blob = new Blob([content], { type: mimeType })
+  const url = URL.createObjectURL(blob)
+
+  const link = document.createElement('a')
+  link.download = fileName
+  link.href = url
+  link.click()
+
+  // Some browsers start the download asynchronously, after click() returns
+  setTimeout(() => URL.revokeObjectURL(url), OBJECT_URL_LIFETIME)
+}
+
+/**
+ * Trigger a browser download of a data URL (e.g. a rendered image)
+ * @param {string} dataUrl - Data URL
+ * @param {string} fileName - File name
+ */
+export function downloadDataUrl(dataUrl, fileName) {
+  const link = document.createElement('a')
+  link.download = fileName
+  link.href = dataUrl
+  link.click()
+}
+
+/**
+ * Download a dataset as CSV or JSON
+ * @param {Object} dataset - Dataset
+ * @param {string} format - 'csv' or 'json'
+ */
+export function downloadDataset(dataset, format) {
+  const exportedAt = new Date()
+  const fileName = `weather-${dataset.type}-${exportedAt.toISOString().split('T')[0]}.${format}`
+
+  if (format === 'json') {
+    downloadFile(toJson(dataset, exportedAt), fileName, 'application/json')
+  } else {
+    // Byte order mark so spreadsheet apps read the unit symbols as UTF-8
+    downloadFile(`\uFEFF${toCsv(dataset, exportedAt)}`, fileName, 'text/csv;charset=utf-8')
+  }
+}
@@ -1,3 +1,5 @@
+import { t, getLocale } from '@/i18n'
+
 /**
  * Convert temperature between Celsius and Fahrenheit
  * @param {number} temp - Temperature value
@@ -19,19 +21,6 @@ export function convertTemperature(temp, from, to) {
   return temp
 }
 
-/**
- * Format temperature for display
- * @param {number} temp - Temperature value
- * @param {string} unit - 'celsius' or 'fahrenheit'
- * @param {boolean} showUnit - Whether to show the unit symbol
- * @returns {string} Formatted temperature
- */
-export function formatTemperature(temp, unit = 'celsius', showUnit = true) {
-  const rounded = Math.round(temp)
-  const symbol = unit === 'celsius' ? '°C' : '°F'
-  return showUnit ? `${rounded}${symbol}` : `${rounded}°`
-}
-
 /**
  * Format date for display
  * @param {Date|string|number} date - Date to format
@@ -51,21 +40,21 @@ export function formatDate(date, format = 'full') {
     monthShort: { month: 'short' }
   }
   
-  return d.toLocaleDateString('en-US', options[format] || options.full)
+  return d.toLocaleDateString(getLocale(), options[format] || options.full)
 }
 
 /**
  * Format time for display
  * @param {Date|string|number} date - Date to format
- * @param {boolean} use24Hour - Use 24-hour format
+ * @param {boolean} use24Hour - Force 24-hour (true) or 12-hour (false) format; defaults to the locale's clock
  * @returns {string} Formatted time
  */
-export function formatTime(date, use24Hour = false) {
+export function formatTime(date, use24Hour) {
   const d = new Date(date)
-  return d.toLocaleTimeString('en-US', {
+  return d.toLocaleTimeString(getLocale(), {
     hour: '2-digit',
     minute: '2-digit',
-    hour12: !use24Hour
+    hour12: use24Hour === undefined ? undefined : !use24Hour
   })
 }
 
@@ -83,35 +72,23 @@ export function getRelativeTime(date) {
   const diffHours = Math.floor(diffMins / 60)
   const diffDays = Math.floor(diffHours / 24)
   
-  if (diffSecs < 60) return 'Just now'
-  if (diffMins < 60) return `${diffMins} minute${diffMins > 1 ? 's' : ''} ago`
-  if (diffHours < 24) return `${diffHours} hour${diffHours > 1 ? 's' : ''} ago`
-  if (diffDays < 7) return `${diffDays} day${diffDays > 1 ? 's' : ''} ago`
+  const relative = new Intl.RelativeTimeFormat(getLocale(), { numeric: 'auto' })
+
+  if (diffSecs < 60) return t('time.justNow')
+  if (diffMins < 60) return relative.format(-diffMins, 'minute')
+  if (diffHours < 24) return relative.format(-diffHours, 'hour')
+  if (diffDays < 7) return relative.format(-diffDays, 'day')
   
   return formatDate(date, 'short')
 }
 
-/**
- * Format wind speed with direction
- * @param {number} speed - Wind speed
- * @param {number} deg - Wind direction in degrees
- * @param {string} unit - 'metric' or 'imperial'
- * @returns {string} Formatted wind string
- */
-export function formatWind(speed, deg, unit = 'metric') {
-  const direction = getWindDirection(deg)
-  const speedUnit = unit === 'metric' ? 'km/h' : 'mph'
-  const displaySpeed = unit === 'metric' ? Math.round(speed * 3.6) : Math.round(speed)
-  return `${displaySpeed} ${speedUnit} ${direction}`
-}
-
 /**
  * Get cardinal direction from degrees
  * @param {number} deg - Direction in degrees
  * @returns {string} Cardinal direction
  */
 export function getWindDirection(deg) {
-  const directions = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW']
+  const directions = t('compass')
   const index = Math.round(deg / 22.5) % 16
   return directions[index]
 }
@@ -126,74 +103,41 @@ export function formatHumidity(humidity) {
 }
 
 /**
- * Format visibility
- * @param {number} visibility - Visibility in meters
- * @param {string} unit - 'metric' or 'imperial'
- * @returns {string} Formatted visibility
- */
-export function formatVisibility(visibility, unit = 'metric') {
-  if (unit === 'metric') {
-    if (visibility >= 1000) {
-      return `${(visibility / 1000).toFixed(1)} km`
-    }
-    return `${visibility} m`
-  }
-  
-  // Convert to miles
-  const miles = visibility / 1609.34
-  return `${miles.toFixed(1)} mi`
-}
-
-/**
- * Format pressure
- * @param {number} pressure - Pressure in hPa
- * @param {string} unit - 'hPa' or 'inHg'
- * @returns {string} Formatted pressure
- */
-export function formatPressure(pressure, unit = 'hPa') {
-  if (unit === 'inHg') {
-    return `${(pressure * 0.02953).toFixed(2)} inHg`
-  }
-  return `${pressure} hPa`
-}
-
-/**
- * Get weather condition description
+ * Get weather condition description in the active language
  * @param {string} condition - Weather condition code
  * @returns {string} Human-readable description
  */
 export function getConditionDescription(condition) {
-  const descriptions = {
-    'Clear': 'Clear skies',
-    'Clouds': 'Cloudy',
-    'Rain': 'Rainy',
-    'Drizzle': 'Light rain',
-    'Thunderstorm': 'Thunderstorm',
-    'Snow': 'Snowy',
-    'Mist': 'Misty',
-    'Fog': 'Foggy',
-    'Haze': 'Hazy',
-    'Dust': 'Dusty',
-    'Sand': 'Sandy',
-    'Ash': 'Volcanic ash',
-    'Squall': 'Squall',
-    'Tornado': 'Tornado'
-  }
-  
-  return descriptions[condition] || condition
+  if (!condition) return ''
+  const key = `conditions.${condition}`
+  const description = t(key)
+  return description === key ? condition : description
 }
 
 /**
- * Get UV index description and color
+ * Get UV index description, sun protection advice and color
  * @param {number} uvi - UV index value
- * @returns {Object} Description and color class
+ * @returns {Object} Description, advice and color class
  */
 export function getUVIndexInfo(uvi) {
-  if (uvi <= 2) return { level: 'Low', color: 'text-success-green', bgColor: 'bg-success-green/20' }
-  if (uvi <= 5) return { level: 'Moderate', color: 'text-yellow-400', bgColor: 'bg-yellow-400/20' }
-  if (uvi <= 7) return { level: 'High', color: 'text-orange-accent', bgColor: 'bg-orange-accent/20' }
-  if (uvi <= 10) return { level: 'Very High', color: 'text-alert-red', bgColor: 'bg-alert-red/20' }
-  return { level: 'Extreme', color: 'text-purple-500', bgColor: 'bg-purple-500/20' }
+  if (uvi <= 2) return { level: t('uv.low'), advice: t('uv.advice.low'), color: 'text-success-green', bgColor: 'bg-success-green/20' }
+  if (uvi <= 5) return { level: t('uv.moderate'), advice: t('uv.advice.moderate'), color: 'text-yellow-400', bgColor: 'bg-yellow-400/20' }
+  if (uvi <= 7) return { level: t('uv.high'), advice: t('uv.advice.high'), color: 'text-orange-accent', bgColor: 'bg-orange-accent/20' }
+  if (uvi <= 10) return { level: t('uv.veryHigh'), advice: t('uv.advice.veryHigh'), color: 'text-alert-red', bgColor: 'bg-alert-red/20' }
+  return { level: t('uv.extreme'), advice: t('uv.advice.extreme'), color: 'text-purple-500', bgColor: 'bg-purple-500/20' }
+}
+
+/**
+ * Get air quality description and color
+ * @param {number} aqi - Air quality index, 1 (good) to 5 (very poor)
+ * @returns {Object} Description and color class
+ */
+export function getAirQualityInfo(aqi) {
+  if (aqi <= 1) return { level: t('aqi.good'), color: 'text-success-green', bgColor: 'bg-success-green/20' }
+  if (aqi <= 2) return { level: t('aqi.fair'), color: 'text-yellow-400', bgColor: 'bg-yellow-400/20' }
+  if (aqi <= 3) return { level: t('aqi.moderate'), color: 'text-orange-accent', bgColor: 'bg-orange-accent/20' }
+  if (aqi <= 4) return { level: t('aqi.poor'), color: 'text-alert-red', bgColor: 'bg-alert-red/20' }
+  return { level: t('aqi.veryPoor'), color: 'text-purple-500', bgColor: 'bg-purple-500/20' }
 }
 
 /**
@@ -263,21 +207,115 @@ export function capitalize(str) {
 }
 
 /**
- * Calculate sunrise/sunset times display
+ * Shift a timestamp into a city's wall-clock time. Read the result with
+ * UTC getters or format it with timeZone 'UTC'.
  * @param {number} timestamp - Unix timestamp
- * @param {number} timezone - Timezone offset in seconds
+ * @param {number} timezone - City UTC offset in seconds
+ * @returns {Date} Date whose UTC fields are the city's local time
+ */
+function toCityDate(timestamp, timezone = 0) {
+  return new Date((timestamp + timezone) * 1000)
+}
+
+/**
+ * Get the city-local calendar date of a timestamp
+ * @param {number} timestamp - Unix timestamp
+ * @param {number} timezone - City UTC offset in seconds
+ * @returns {string} Calendar date (YYYY-MM-DD)
+ */
+export function getCityDateKey(timestamp, timezone = 0) {
+  return toCityDate(timestamp, timezone).toISOString().split('T')[0]
+}
+
+/**
+ * Format a timestamp as a time of day in a city's timezone
+ * @param {number} timestamp - Unix timestamp
+ * @param {number} timezone - City UTC offset in seconds
  * @returns {string} Formatted time
  */
-export function formatSunTime(timestamp, timezone = 0) {
-  const date = new Date((timestamp + timezone) * 1000)
-  return date.toLocaleTimeString('en-US', {
+export function formatCityTime(timestamp, timezone = 0) {
+  return toCityDate(timestamp, timezone).toLocaleTimeString(getLocale(), {
     hour: '2-digit',
     minute: '2-digit',
-    hour12: true,
     timeZone: 'UTC'
   })
 }
 
+/**
+ * Format a timestamp as a date in a city's timezone
+ * @param {number} timestamp - Unix timestamp
+ * @param {number} timezone - City UTC offset in seconds
+ * @param {string} format - 'full', 'short', 'day', 'dayFull' or 'dateTime'
+ * @returns {string} Formatted date
+ */
+export function formatCityDate(timestamp, timezone = 0, format = 'full') {
+  const options = {
+    full: { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' },
+    short: { month: 'short', day: 'numeric' },
+    day: { weekday: 'short' },
+    dayFull: { weekday: 'long' },
+    dateTime: { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }
+  }
+
+  return toCityDate(timestamp, timezone).toLocaleString(getLocale(), {
+    ...(options[format] || options.full),
+    timeZone: 'UTC'
+  })
+}
+
+/**
+ * Format a UTC offset for display
+ * @param {number} timezone - UTC offset in seconds
+ * @returns {string} Offset such as 'UTC+9' or 'UTC-3:30'
+ */
+export function formatUtcOffset(timezone = 0) {
+  const sign = timezone < 0 ? '-' : '+'
+  const totalMinutes = Math.round(Math.abs(timezone) / 60)
+  const hours = Math.floor(totalMinutes / 60)
+  const minutes = totalMinutes % 60
+  return `UTC${sign}${hours}${minutes ? `:${String(minutes).padStart(2, '0')}` : ''}`
+}
+
+/**
+ * Calculate sunrise/sunset times display
+ * @param {number} timestamp - Unix timestamp
+ * @param {number} timezone - Timezone offset in seconds
+ * @returns {string} Formatted time
+ */
+export function formatSunTime(timestamp, timezone = 0) {
+  if (!timestamp) return '--'
+  return formatCityTime(timestamp, timezone)
+}
+
+/**
+ * Get the time between sunrise and sunset
+ * @param {number} sunrise - Sunrise timestamp
+ * @param {number} sunset - Sunset timestamp
+ * @returns {Object|null} Day length as { hours, minutes }, or null when unknown
+ */
+export function getDayLength(sunrise, sunset) {
+  if (!sunrise || !sunset) return null
+  const totalMinutes = Math.round((sunset - sunrise) / 60)
+  return {
+    hours: Math.floor(totalMinutes / 60),
+    minutes: totalMinutes % 60
+  }
+}
+
+/**
+ * Estimate the dew point from temperature and relative humidity (Magnus formula)
+ * @param {number} temp - Temperature in °C
+ * @param {number} humidity - Relative humidity (%)
+ * @returns {number|null} Dew point in °C, or null when unknown
+ */
+export function getDewPoint(temp, humidity) {
+  if (temp === null || temp === undefined || !humidity) return null
+  const a = 17.62
+  const b = 243.12
+  const gamma = Math.log(humidity / 100) + (a * temp) / (b + temp)
+  return (b * gamma) / (a - gamma)
+}
+
 /**
  * Get day/night status based on current time and sun times
  * @param {number} current - Current timestamp
@@ -290,19 +328,21 @@ export function isDaytime(current, sunrise, sunset) {
 }
 
 /**
- * Process forecast data into daily summaries
- * @param {Array} forecastList - Forecast data list
- * @returns {Array} Daily summaries
+ * Process forecast data into daily summaries, split at the city's midnight
+ * @param {Array} forecastList - Normalized forecast items
+ * @param {number} timezone - City UTC offset in seconds
+ * @returns {Array} Daily summaries with the city-local date (YYYY-MM-DD) and first slot time (dt)
  */
-export function processForecastData(forecastList) {
+export function processForecastData(forecastList, timezone = 0) {
   const dailyData = {}
   
   forecastList.forEach(item => {
-    const date = new Date(item.dt * 1000).toDateString()
+    const date = getCityDateKey(item.dt, timezone)
     
     if (!dailyData[date]) {
       dailyData[date] = {
-        date: new Date(item.dt * 1000),
+        date,
+        dt: item.dt,
         temps: [],
         conditions: [],
         humidity: [],
@@ -311,15 +351,16 @@ export function processForecastData(forecastList) {
       }
     }
     
-    dailyData[date].temps.push(item.main.temp)
-    dailyData[date].conditions.push(item.weather[0].main)
-    dailyData[date].humidity.push(item.main.humidity)
-    dailyData[date].wind.push(item.wind.speed)
-    dailyData[date].icons.push(item.weather[0].icon)
+    dailyData[date].temps.push(item.temp)
+    dailyData[date].conditions.push(item.condition)
+    dailyData[date].humidity.push(item.humidity)
+    dailyData[date].wind.push(item.windSpeed)
+    dailyData[date].icons.push(item.icon)
   })
   
   return Object.values(dailyData).map(day => ({
     date: day.date,
+    dt: day.dt,
     tempMin: Math.min(...day.temps),
     tempMax: Math.max(...day.temps),
     tempAvg: day.temps.reduce((a, b) => a + b, 0) / day.temps.length,
@@ -330,6 +371,88 @@ export function processForecastData(forecastList) {
   })).slice(0, 5)
 }
 
+/**
+ * Process forecast data into 3-hourly slots
+ * @param {Array} forecastList - Normalized forecast items
+ * @param {number} limit - Maximum number of slots (40 covers the full 5 days)
+ * @returns {Array} Hourly slots
+ */
+export function processHourlyData(forecastList, limit = 40) {
+  return forecastList.slice(0, limit).map(item => ({
+    dt: item.dt,
+    date: new Date(item.dt * 1000),
+    temp: item.temp,
+    feelsLike: item.feelsLike,
+    pop: Math.round((item.pop || 0) * 100),
+    rain: item.rain || 0,
+    snow: item.snow || 0,
+    windSpeed: item.windSpeed,
+    windDeg: item.windDeg,
+    windGust: item.windGust,
+    clouds: item.clouds,
+    humidity: item.humidity,
+    condition: item.condition,
+    icon: item.icon
+  }))
+}
+
+/**
+ * Aggregate daily observations into calendar-month climatology
+ * @param {Array} days - Normalized HistoryDay records
+ * @returns {Array} Twelve monthly summaries, January first
+ */
+export function aggregateMonthlyClimate(days = []) {
+  const buckets = Array.from({ length: 12 }, () => ({
+    temps: [],
+    tempMins: [],
+    tempMaxes: [],
+    precip: 0,
+    humidity: [],
+    daysInMonth: []
+  }))
+
+  days.forEach(day => {
+    if (!day?.date) return
+
+    // date is a local calendar date (YYYY-MM-DD), so parse the parts directly
+    const [year, month] = day.date.split('-').map(Number)
+    const bucket = buckets[month - 1]
+    if (!bucket) return
+
+    if (typeof day.temp === 'number') bucket.temps.push(day.temp)
+    if (typeof day.tempMin === 'number') bucket.tempMins.push(day.tempMin)
+    if (typeof day.tempMax === 'number') bucket.tempMaxes.push(day.tempMax)
+    if (typeof day.humidity === 'number') bucket.humidity.push(day.humidity)
+    bucket.precip += day.precip || 0
+    bucket.daysInMonth.push(new Date(year, month, 0).getDate())
+  })
+
+  const average = (values) => values.length
+    ? values.reduce((a, b) => a + b, 0) / values.length
+    : null
+  const round = (value) => value === null ? null : Math.round(value * 10) / 10
+
+  return buckets.map((bucket, index) => {
+    const dayCount = bucket.daysInMonth.length
+
+    // A one-year window covers its first and last month only partially,
+    // so precipitation is scaled to a full month to keep months comparable
+    const precipTotal = dayCount
+      ? bucket.precip / dayCount * average(bucket.daysInMonth)
+      : null
+
+    return {
+      month: index,
+      tempMean: round(average(bucket.temps)),
+      tempMin: bucket.tempMins.length ? Math.min(...bucket.tempMins) : null,
+      tempMax: bucket.tempMaxes.length ? Math.max(...bucket.tempMaxes) : null,
+      precipTotal: round(precipTotal),
+      humidityMean: round(average(bucket.humidity)),
+      dayCount
+    }
+  })
+}
+
 /**
  * Get most frequent item in array
  * @param {Array} arr - Array of items
@@ -0,0 +1,425 @@
+import { jsPDF } from 'jspdf'
+import {
+  Chart,
+  LineController,
+  BarController,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  BarElement,
+  Legend
+} from 'chart.js'
+import { t, getLocale } from '@/i18n'
+import {
+  processForecastData,
+  formatCityDate,
+  formatCityTime,
+  formatUtcOffset,
+  formatSunTime,
+  formatHumidity,
+  getConditionDescription
+} from './helpers'
+import { formatTemp, formatWindSpeed, formatPressure, formatDistance, convertTemp, getUnitSymbol } from './units'
+import { getCityColor } from './colors'
+import { renderChartImage } from './chartExport'
+import { THEMES } from './theme'
+
+Chart.register(
+  LineController,
+  BarController,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  BarElement,
+  Legend
+)
+
+/**
+ * Multi-page PDF report of a dashboard: current conditions per city, the
+ * daily forecast charts, a comparison table and active alerts. Reports are
+ * for printing, so they always use the light palette whatever the theme.
+ * Loaded on demand, as jsPDF is large.
+ */
+
+const PAGE = { width: 210, height: 297, margin: 15 }
+const CONTENT_WIDTH = PAGE.width - PAGE.margin * 2
+const COLORS = {
+  text: [15, 23, 42],
+  muted: [100, 116, 139],
+  rule: [226, 232, 240],
+  stripe: [241, 245, 249],
+  alert: [220, 38, 38]
+}
+const CHART_SIZE = { width: 900, height: 420 }
+
+const formatPercent = (value) => (value === null || value === undefined ? '--' : formatHumidity(value))
+
+// jsPDF's built-in fonts only cover Latin-1; swap the spaces and minus
+// sign that Intl number formatting uses for plain equivalents
+const pdfText = (text) => String(text).replace(/[\u00A0\u202F]/g, ' ').replace(/\u2212/g, '-')
+
+/**
+ * Wrap a jsPDF document with a cursor that starts new pages as needed
+ * @param {jsPDF} doc - Document
+ * @returns {Object} Layout helpers
+ */
+function createLayout(doc) {
+  let y = PAGE.margin
+
+  function ensureSpace(height) {
+    if (y + height > PAGE.height - PAGE.margin) {
+      doc.addPage()
+      y = PAGE.margin
+    }
+  }
+
+  function setText(size, style = 'normal', color = COLORS.text) {
+    doc.setFont('helvetica', style)
+    doc.setFontSize(size)
+    doc.setTextColor(...color)
+  }
+
+  return {
+    get y() {
+      return y
+    },
+    ensureSpace,
+    setText,
+
+    space(height) {
+      y += height
+    },
+
+    heading(text) {
+      ensureSpace(20)
+      setText(14, 'bold')
+      doc.text(pdfText(text), PAGE.margin, y + 5)
+      doc.setDrawColor(...COLORS.rule)
+      doc.line(PAGE.margin, y + 8, PAGE.width - PAGE.margin, y + 8)
+      y += 13
+    },
+
+    paragraph(text, size = 10, color = COLORS.text) {
+      setText(size, 'normal', color)
+      const lines = doc.splitTextToSize(pdfText(text), CONTENT_WIDTH)
+      const lineHeight = size * 0.45
+      lines.forEach(line => {
+        ensureSpace(lineHeight)
+        doc.text(line, PAGE.margin, y + lineHeight * 0.8)
+        y += lineHeight
+      })
+    },
+
+    image(dataUrl, width, height) {
+      ensureSpace(height)
+      doc.addImage(dataUrl, 'PNG', PAGE.margin, y, width, height)
+      y += height
+    }
+  }
+}
+
+/**
+ * Current conditions as label/value pairs
+ * @param {Object} weather - Normalized current weather
+ * @param {Object} units - User preferences
+ * @returns {Array<Array<string>>} Pairs
+ */
+function conditionRows(weather, units) {
+  return [
+    [t('metrics.temperature'), formatTemp(weather.temp, units)],
+    [t('metrics.feelsLike'), formatTemp(weather.feelsLike, units)],
+    [t('metrics.condition'), getConditionDescription(weather.condition) || '--'],
+    [t('metrics.humidity'), formatPercent(weather.humidity)],
+    [t('metrics.wind'), formatWindSpeed(weather.windSpeed, units)],
+    [t('metrics.pressure'), formatPressure(weather.pressure, units)],
+    [t('metrics.visibility'), formatDistance(weather.visibility, units)],
+    [t('metrics.clouds'), formatPercent(weather.clouds)],
+    [t('card.sunrise'), formatSunTime(weather.sunrise, weather.timezone)],
+    [t('card.sunset'), formatSunTime(weather.sunset, weather.timezone)]
+  ]
+}
+
+function addCurrentConditions(doc, layout, cities, weatherData, units) {
+  layout.heading(t('report.currentConditions'))
+
+  cities.forEach(city => {
+    const weather = weatherData[city.id]?.weather
+    const rows = weather ? conditionRows(weather, units) : []
+    const rowCount = Math.ceil(rows.length / 2)
+    layout.ensureSpace(12 + Math.max(rowCount, 1) * 5.5)
+
+    layout.setText(12, 'bold')
+    doc.text(pdfText(city.country ? `${city.name}, ${city.country}` : city.name), PAGE.margin, layout.y + 4)
+
+    if (!weather) {
+      layout.setText(9, 'normal', COLORS.muted)
+      doc.text(pdfText(t('report.noData')), PAGE.margin, layout.y + 10)
+      layout.space(17)
+      return
+    }
+
+    const timezone = weather.timezone || 0
+    const now = Math.floor(Date.now() / 1000)
+    layout.setText(9, 'normal', COLORS.muted)
+    doc.text(
+      pdfText(`${t('card.localTime')}: ${formatCityTime(now, timezone)} (${formatUtcOffset(timezone)})`),
+      PAGE.width - PAGE.margin,
+      layout.y + 4,
+      { align: 'right' }
+    )
+    layout.space(8)
+
+    // Two columns of label/value pairs
+    const columnWidth = CONTENT_WIDTH / 2
+    rows.forEach(([label, value], index) => {
+      const x = PAGE.margin + (index % 2) * columnWidth
+      const rowY = layout.y + Math.floor(index / 2) * 5.5 + 4
+      layout.setText(9, 'normal', COLORS.muted)
+      doc.text(pdfText(label), x, rowY)
+      layout.setText(9, 'bold')
+      doc.text(pdfText(value), x + columnWidth - 6, rowY, { align: 'right' })
+    })
+    layout.space(rowCount * 5.5 + 6)
+  })
+}
+
+/**
+ * Daily forecast chart configurations (high/low temperature and humidity)
+ * @param {Array} cities - City objects
+ * @param {Object} weatherData - Weather data keyed by city ID
+ * @param {Object} units - User preferences
+ * @returns {Array<Object>} Chart titles and configurations
+ */
+function forecastCharts(cities, weatherData, units) {
+  const chartColors = THEMES.light.chart
+  const series = cities
+    .map((city, index) => {
+      const forecast = weatherData[city.id]?.forecast
+      if (!forecast?.items) return null
+      const timezone = forecast.timezone || 0
+      return {
+        city,
+        color: getCityColor(index),
+        days: processForecastData(forecast.items, timezone).map(day => ({
+          ...day,
+          label: formatCityDate(day.dt, timezone, 'day')
+        }))
+      }
+    })
+    .filter(entry => entry?.days.length > 0)
+
+  if (series.length === 0) return []
+
+  const labels = series[0].days.map(day => day.label)
+  const options = (yTick, yRange = {}) => ({
+    plugins: {
+      legend: {
+        position: 'top',
+        labels: { color: chartColors.text, usePointStyle: true, padding: 16 }
+      }
+    },
+    scales: {
+      x: { grid: { color: chartColors.grid }, ticks: { color: chartColors.tick } },
+      y: { grid: { color: chartColors.grid }, ticks: { color: chartColors.tick, callback: yTick }, ...yRange }
+    }
+  })
+
+  return [
+    {
+      title: `${t('metrics.temperature')} (${getUnitSymbol('temperatureUnit', units)})`,
+      config: {
+        type: 'line',
+        data: {
+          labels,
+          datasets: series.flatMap(({ city, color, days }) => [
+            {
+              label: t('forecast.seriesHigh', { city: city.name }),
+              data: days.map(day => convertTemp(day.tempMax, units)),
+              borderColor: color,
+              backgroundColor: color,
+              tension: 0.4
+            },
+            {
+              label: t('forecast.seriesLow', { city: city.name }),
+              data: days.map(day => convertTemp(day.tempMin, units)),
+              borderColor: color,
+              backgroundColor: color,
+              borderDash: [5, 5],
+              tension: 0.4
+            }
+          ])
+        },
+        options: options(value => `${value}°`)
+      }
+    },
+    {
+      title: `${t('metrics.humidity')} (%)`,
+      config: {
+        type: 'bar',
+        data: {
+          labels,
+          datasets: series.map(({ city, color, days }) => ({
+            label: city.name,
+            data: days.map(day => day.humidity),
+            backgroundColor: color,
+            borderRadius: 4
+          }))
+        },
+        options: options(value => `${value}%`, { min: 0, max: 100 })
+      }
+    }
+  ]
+}
+
+function addForecast(doc, layout, cities, weatherData, units) {
+  const charts = forecastCharts(cities, weatherData, units)
+  if (charts.length === 0) return
+
+  layout.heading(t('forecast.title'))
+
+  const height = CONTENT_WIDTH * CHART_SIZE.height / CHART_SIZE.width
+  charts.forEach(({ title, config }) => {
+    layout.ensureSpace(height + 8)
+    layout.setText(10, 'bold')
+    doc.text(pdfText(title), PAGE.margin, layout.y + 4)
+    layout.space(6)
+    layout.image(renderChartImage(config, CHART_SIZE, '#ffffff'), CONTENT_WIDTH, height)
+    layout.space(6)
+  })
+}
+
+function addComparison(doc, layout, cities, weatherData, units) {
+  const columns = [
+    { label: t('report.city'), width: 42, value: city => city.name },
+    { label: t('metrics.temperature'), width: 22, value: (city, w) => formatTemp(w.temp, units) },
+    { label: t('metrics.feelsLike'), width: 22, value: (city, w) => formatTemp(w.feelsLike, units) },
+    { label: t('metrics.humidity'), width: 20, value: (city, w) => formatPercent(w.humidity) },
+    { label: t('metrics.wind'), width: 24, value: (city, w) => formatWindSpeed(w.windSpeed, units) },
+    { label: t('metrics.pressure'), width: 26, value: (city, w) => formatPressure(w.pressure, units) },
+    { label: t('metrics.visibility'), width: 24, value: (city, w) => formatDistance(w.visibility, units) }
+  ]
+  const rows = cities.filter(city => weatherData[city.id]?.weather)
+  if (rows.length === 0) return
+
+  layout.heading(t('compare.title'))
+
+  const rowHeight = 7
+  const drawHeader = () => {
+    layout.setText(8, 'bold', COLORS.muted)
+    let x = PAGE.margin
+    columns.forEach(column => {
+      const label = doc.splitTextToSize(pdfText(column.label), column.width - 2)[0]
+      doc.text(label, x + 1, layout.y + 5)
+      x += column.width
+    })
+    doc.setDrawColor(...COLORS.rule)
+    doc.line(PAGE.margin, layout.y + rowHeight, PAGE.width - PAGE.margin, layout.y + rowHeight)
+    layout.space(rowHeight)
+  }
+
+  layout.ensureSpace(rowHeight * 2)
+  drawHeader()
+
+  rows.forEach((city, index) => {
+    if (layout.y + rowHeight > PAGE.height - PAGE.margin) {
+      layout.ensureSpace(rowHeight * 2)
+      drawHeader()
+    }
+    if (index % 2 === 1) {
+      doc.setFillColor(...COLORS.stripe)
+      doc.rect(PAGE.margin, layout.y, CONTENT_WIDTH, rowHeight, 'F')
+    }
+
+    let x = PAGE.margin
+    columns.forEach((column, columnIndex) => {
+      layout.setText(9, columnIndex === 0 ? 'bold' : 'normal')
+      const value = doc.splitTextToSize(pdfText(column.value(city, weatherData[city.id].weather)), column.width - 2)[0]
+      doc.text(value, x + 1, layout.y + 5)
+      x += column.width
+    })
+    layout.space(rowHeight)
+  })
+  layout.space(6)
+}
+
+function addAlerts(doc, layout, alerts) {
+  layout.heading(t('report.alerts'))
+
+  if (alerts.length === 0) {
+    layout.paragraph(t('report.noAlerts'), 10, COLORS.muted)
+    return
+  }
+
+  alerts.forEach(alert => {
+    layout.ensureSpace(16)
+    layout.setText(11, 'bold', COLORS.alert)
+    doc.text(pdfText(alert.cityName ? `${alert.event} - ${alert.cityName}` : alert.event), PAGE.margin, layout.y + 4)
+    layout.space(6)
+
+    if (alert.start && alert.end) {
+      const timezone = alert.timezone || 0
+      layout.paragraph(
+        `${formatCityDate(alert.start, timezone, 'dateTime')} - ${formatCityDate(alert.end, timezone, 'dateTime')}`,
+        9,
+        COLORS.muted
+      )
+    }
+    if (alert.description) layout.paragraph(alert.description, 9)
+    if (alert.sender) layout.paragraph(t('alerts.source', { sender: alert.sender }), 8, COLORS.muted)
+    layout.space(5)
+  })
+}
+
+/**
+ * Build the dashboard report
+ * @param {Object} report - { title, cities, weatherData, alerts, units }
+ * @returns {jsPDF} Document
+ */
+export function createReport({ title, cities, weatherData, alerts, units }) {
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' })
+  const layout = createLayout(doc)
+  const generatedAt = new Date()
+
+  layout.setText(20, 'bold')
+  doc.text(pdfText(title), PAGE.margin, layout.y + 7)
+  layout.space(11)
+  layout.paragraph(
+    t('report.generated', {
+      date: generatedAt.toLocaleString(getLocale(), { dateStyle: 'long', timeStyle: 'short' })
+    }),
+    9,
+    COLORS.muted
+  )
+  layout.space(6)
+
+  addCurrentConditions(doc, layout, cities, weatherData, units)
+  addForecast(doc, layout, cities, weatherData, units)
+  addComparison(doc, layout, cities, weatherData, units)
+  addAlerts(doc, layout, alerts)
+
+  // Page numbers, once the page count is known
+  const pageCount = doc.getNumberOfPages()
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page)
+    layout.setText(8, 'normal', COLORS.muted)
+    doc.text(
+      pdfText(t('report.page', { page, total: pageCount })),
+      PAGE.width - PAGE.margin,
+      PAGE.height - PAGE.margin / 2,
+      { align: 'right' }
+    )
+  }
+
+  return doc
+}
+
+/**
+ * Build the dashboard report and download it
+ * @param {Object} report - { title, cities, weatherData, alerts, units }
+ */
+export function downloadReport(report) {
+  const fileName = `weather-report-${new Date().toISOString().split('T')[0]}.pdf`
+  createReport(report).save(fileName)
+}
@@ -0,0 +1,148 @@
+import { openWeatherMapProvider } from './openWeatherMap'
+import { visualCrossingProvider } from './visualCrossing'
+import { openMeteoProvider } from './openMeteo'
+
+/**
+ * Normalized data model shared by every provider. All values are metric:
+ * temperatures in °C, wind in m/s, pressure in hPa, visibility in metres,
+ * precipitation in mm and times as Unix timestamps in seconds.
+ *
+ * @typedef {Object} CurrentConditions
+ * @property {number} dt - Observation time
+ * @property {number} timezone - City UTC offset in seconds
+ * @property {number} temp
+ * @property {number} feelsLike
+ * @property {number} tempMin
+ * @property {number} tempMax
+ * @property {number} humidity - Relative humidity (%)
+ * @property {number} pressure - Sea-level pressure
+ * @property {number|null} seaLevel
+ * @property {number|null} groundLevel
+ * @property {number|null} visibility
+ * @property {number} windSpeed
+ * @property {number} windDeg
+ * @property {number|null} windGust
+ * @property {number|null} clouds - Cloud cover (%)
+ * @property {number} rain - Rain in the last hour (mm)
+ * @property {number} snow - Snow in the last hour (mm of water, not snow depth)
+ * @property {string} condition - Condition group (e.g. 'Rain')
+ * @property {string} description - Condition detail (e.g. 'light rain')
+ * @property {string} icon - OpenWeatherMap-style icon code (e.g. '10d')
+ * @property {number|null} sunrise
+ * @property {number|null} sunset
+ *
+ * @typedef {Object} ForecastItem
+ * Same fields as CurrentConditions minus sun times, plus `pop`
+ * (precipitation probability, 0-1); rain/snow cover the whole slot.
+ *
+ * @typedef {Object} Forecast
+ * @property {number} timezone - City UTC offset in seconds
+ * @property {Array<ForecastItem>} items - Forecast slots in time order
+ *
+ * @typedef {Object} Alert
+ * @property {string} sender
+ * @property {string} event
+ * @property {number} start
+ * @property {number} end
+ * @property {string} description
+ * @property {Array<string>} tags
+ *
+ * @typedef {Object} AirQuality
+ * @property {number} dt - Measurement (or forecast) time
+ * @property {number|null} aqi - Air quality index, from 1 (good) to 5 (very poor)
+ * @property {Object} components - Concentrations in μg/m³ (null when not reported):
+ *   pm2_5, pm10, o3, no2, so2 and co
+ *
+ * @typedef {Object} AirQualityForecast
+ * @property {Array<AirQuality>} items - Hourly values in time order
+ *
+ * @typedef {Object} UVIndex
+ * @property {number|null} current - Current UV index
+ * @property {Array<Object>} hourly - { dt, uvIndex } per hour, in time order
+ * @property {Array<Object>} daily - { dt, uvIndex } per day (the day's maximum),
+ *   with dt falling within the city-local day
+ *
+ * @typedef {Object} HistoryDay
+ * @property {string} date - Local calendar date (YYYY-MM-DD)
+ * @property {number|null} temp
+ * @property {number|null} tempMin
+ * @property {number|null} tempMax
+ * @property {number} precip
+ * @property {number|null} humidity
+ */
+
+// Registered providers by id
+const providers = {}
+
+const DEFAULT_WEATHER_PROVIDER = 'openweathermap'
+const DEFAULT_HISTORY_PROVIDER = 'visualcrossing'
+
+/**
+ * Register a weather data provider
+ * @param {Object} provider - Provider with an `id` and any of getCurrent,
+ *   getForecast, getAlerts, getAirQuality, getAirQualityForecast, getUVIndex,
+ *   getHistory, searchCities, reverseGeocode. A provider serving alerts and
+ *   UV from one request implements getAlertsAndUVIndex (returning
+ *   { alerts, uvIndex }) instead of getAlerts and getUVIndex.
+ *   getCurrent, getForecast, getAlerts, getAlertsAndUVIndex and searchCities
+ *   take a trailing `{ lang }` option for localized text; providers may ignore it.
+ */
+export function registerProvider(provider) {
+  providers[provider.id] = provider
+}
+
+/**
+ * Look up a provider that implements a given method
+ * @param {string} id - Provider id
+ * @param {string} [method] - Required method name
+ * @returns {Object} Provider
+ */
+function resolveProvider(id, method) {
+  const provider = providers[id]
+
+  if (!provider) {
+    throw new Error(`Unknown weather provider: ${id}`)
+  }
+  if (method && typeof provider[method] !== 'function') {
+    throw new Error(`Weather provider ${id} does not support ${method}`)
+  }
+
+  return provider
+}
+
+/**
+ * Get the provider for current conditions, forecasts, alerts, air quality, UV index and geocoding
+ * (configured with VITE_WEATHER_PROVIDER)
+ * @param {string} [method] - Required method name
+ * @returns {Object} Provider
+ */
+export function getWeatherProvider(method) {
+  const id = import.meta.env.VITE_WEATHER_PROVIDER || DEFAULT_WEATHER_PROVIDER
+  return resolveProvider(id, method)
+}
+
+/**
+ * Get the provider for historical observations
+ * (configured with VITE_HISTORY_PROVIDER)
+ * @returns {Object} Provider
+ */
+export function getHistoryProvider() {
+  const id = import.meta.env.VITE_HISTORY_PROVIDER || DEFAULT_HISTORY_PROVIDER
+  return resolveProvider(id, 'getHistory')
+}
+
+/**
+ * Get the display names of the configured providers, for attribution
+ * @returns {Array<string>} Unique provider names
+ */
+export function getProviderNames() {
+  const ids = [
+    import.meta.env.VITE_WEATHER_PROVIDER || DEFAULT_WEATHER_PROVIDER,
+    import.meta.env.VITE_HISTORY_PROVIDER || DEFAULT_HISTORY_PROVIDER
+  ]
+  return [...new Set(ids.map(id => providers[id]?.name || id))]
+}
+
+registerProvider(openWeatherMapProvider)
+registerProvider(visualCrossingProvider)
+registerProvider(openMeteoProvider)
@@ -0,0 +1,276 @@
+import { fetchJson, formatDisplayName } from './request'
+
+// Open-Meteo Configuration (no API key required)
+const FORECAST_URL = import.meta.env.VITE_OPEN_METEO_BASE_URL || 'https://api.open-meteo.com/v1'
+const ARCHIVE_URL = 'https://archive-api.open-meteo.com/v1'
+const GEOCODING_URL = 'https://geocoding-api.open-meteo.com/v1'
+const AIR_QUALITY_URL = 'https://air-quality-api.open-meteo.com/v1'
+
+const CURRENT_FIELDS = [
+  'temperature_2m', 'relative_humidity_2m', 'apparent_temperature', 'is_day',
+  'precipitation', 'rain', 'showers', 'weather_code', 'cloud_cover', 'pressure_msl', 'surface_pressure',
+  'visibility', 'wind_speed_10m', 'wind_direction_10m', 'wind_gusts_10m'
+]
+
+const HOURLY_FIELDS = [
+  'temperature_2m', 'relative_humidity_2m', 'apparent_temperature', 'is_day',
+  'precipitation_probability', 'precipitation', 'rain', 'showers', 'weather_code', 'cloud_cover',
+  'pressure_msl', 'visibility', 'wind_speed_10m', 'wind_direction_10m', 'wind_gusts_10m'
+]
+
+const AIR_QUALITY_FIELDS = [
+  'european_aqi', 'pm2_5', 'pm10', 'ozone', 'nitrogen_dioxide', 'sulphur_dioxide', 'carbon_monoxide'
+]
+
+/**
+ * Split precipitation into rain and snow, in millimetres of water like
+ * OpenWeatherMap. Open-Meteo's `snowfall` is centimetres of fresh snow, so
+ * snow is what the precipitation total holds beyond rain and showers.
+ * @param {number|null} precipitation - Total precipitation (mm)
+ * @param {number|null} rain - Rain (mm)
+ * @param {number|null} showers - Showers (mm)
+ * @returns {Object} { rain, snow }
+ */
+function splitPrecipitation(precipitation, rain, showers) {
+  const liquid = (rain ?? 0) + (showers ?? 0)
+  return {
+    rain: liquid,
+    snow: Math.max(0, Math.round(((precipitation ?? 0) - liquid) * 10) / 10)
+  }
+}
+
+// WMO weather codes mapped onto OpenWeatherMap conditions and icon codes
+const WMO_CODES = {
+  0: { condition: 'Clear', description: 'clear sky', icon: '01' },
+  1: { condition: 'Clouds', description: 'mainly clear', icon: '02' },
+  2: { condition: 'Clouds', description: 'partly cloudy', icon: '03' },
+  3: { condition: 'Clouds', description: 'overcast', icon: '04' },
+  45: { condition: 'Fog', description: 'fog', icon: '50' },
+  48: { condition: 'Fog', description: 'depositing rime fog', icon: '50' },
+  51: { condition: 'Drizzle', description: 'light drizzle', icon: '09' },
+  53: { condition: 'Drizzle', description: 'drizzle', icon: '09' },
+  55: { condition: 'Drizzle', description: 'dense drizzle', icon: '09' },
+  56: { condition: 'Drizzle', description: 'freezing drizzle', icon: '09' },
+  57: { condition: 'Drizzle', description: 'dense freezing drizzle', icon: '09' },
+  61: { condition: 'Rain', description: 'light rain', icon: '10' },
+  63: { condition: 'Rain', description: 'moderate rain', icon: '10' },
+  65: { condition: 'Rain', description: 'heavy rain', icon: '10' },
+  66: { condition: 'Rain', description: 'freezing rain', icon: '13' },
+  67: { condition: 'Rain', description: 'heavy freezing rain', icon: '13' },
+  71: { condition: 'Snow', description: 'light snow', icon: '13' },
+  73: { condition: 'Snow', description: 'snow', icon: '13' },
+  75: { condition: 'Snow', description: 'heavy snow', icon: '13' },
+  77: { condition: 'Snow', description: 'snow grains', icon: '13' },
+  80: { condition: 'Rain', description: 'light rain showers', icon: '09' },
+  81: { condition: 'Rain', description: 'rain showers', icon: '09' },
+  82: { condition: 'Rain', description: 'violent rain showers', icon: '09' },
+  85: { condition: 'Snow', description: 'snow showers', icon: '13' },
+  86: { condition: 'Snow', description: 'heavy snow showers', icon: '13' },
+  95: { condition: 'Thunderstorm', description: 'thunderstorm', icon: '11' },
+  96: { condition: 'Thunderstorm', description: 'thunderstorm with hail', icon: '11' },
+  99: { condition: 'Thunderstorm', description: 'thunderstorm with heavy hail', icon: '11' }
+}
+
+/**
+ * Translate a WMO weather code into condition fields
+ * @param {number} code - WMO weather code
+ * @param {number} isDay - 1 for daytime, 0 for night
+ * @returns {Object} Condition, description and OpenWeatherMap-style icon code
+ */
+function describeWeatherCode(code, isDay) {
+  const info = WMO_CODES[code] || WMO_CODES[3]
+  return {
+    condition: info.condition,
+    description: info.description,
+    icon: `${info.icon}${isDay ? 'd' : 'n'}`
+  }
+}
+
+/**
+ * Build an AirQuality record from Open-Meteo values. The European AQI
+ * (0-100+) uses the same five bands as OpenWeatherMap's 1-5 index, 20 apart.
+ * @param {number} dt - Time
+ * @param {Function} value - Returns the value of a field
+ * @returns {Object} AirQuality
+ */
+function toAirQuality(dt, value) {
+  const europeanAqi = value('european_aqi')
+  return {
+    dt,
+    aqi: europeanAqi == null ? null : Math.min(5, Math.floor(europeanAqi / 20) + 1),
+    components: {
+      pm2_5: value('pm2_5') ?? null,
+      pm10: value('pm10') ?? null,
+      o3: value('ozone') ?? null,
+      no2: value('nitrogen_dioxide') ?? null,
+      so2: value('sulphur_dioxide') ?? null,
+      co: value('carbon_monoxide') ?? null
+    }
+  }
+}
+
+/**
+ * Format a Date as YYYY-MM-DD
+ * @param {Date} date - Date to format
+ * @returns {string} ISO calendar date
+ */
+function toIsoDate(date) {
+  return date.toISOString().split('T')[0]
+}
+
+export const openMeteoProvider = {
+  id: 'open-meteo',
+  name: 'Open-Meteo',
+
+  async getCurrent(lat, lon) {
+    const data = await fetchJson(
+      `${FORECAST_URL}/forecast?latitude=${lat}&longitude=${lon}&current=${CURRENT_FIELDS.join(',')}&daily=temperature_2m_max,temperature_2m_min,sunrise,sunset&forecast_days=1&wind_speed_unit=ms&timezone=auto&timeformat=unixtime`,
+      'Weather'
+    )
+    const current = data.current
+
+    return {
+      dt: current.time,
+      timezone: data.utc_offset_seconds ?? 0,
+      temp: current.temperature_2m,
+      feelsLike: current.apparent_temperature,
+      tempMin: data.daily.temperature_2m_min[0],
+      tempMax: data.daily.temperature_2m_max[0],
+      humidity: current.relative_humidity_2m,
+      pressure: Math.round(current.pressure_msl),
+      seaLevel: Math.round(current.pressure_msl),
+      groundLevel: Math.round(current.surface_pressure),
+      visibility: current.visibility ?? null,
+      windSpeed: current.wind_speed_10m,
+      windDeg: current.wind_direction_10m,
+      windGust: current.wind_gusts_10m ?? null,
+      clouds: current.cloud_cover,
+      ...splitPrecipitation(current.precipitation, current.rain, current.showers),
+      ...describeWeatherCode(current.weather_code, current.is_day),
+      sunrise: data.daily.sunrise[0],
+      sunset: data.daily.sunset[0]
+    }
+  },
+
+  async getForecast(lat, lon) {
+    const data = await fetchJson(
+      `${FORECAST_URL}/forecast?latitude=${lat}&longitude=${lon}&hourly=${HOURLY_FIELDS.join(',')}&forecast_days=6&wind_speed_unit=ms&timezone=auto&timeformat=unixtime`,
+      'Forecast'
+    )
+    const hourly = data.hourly
+    const now = Date.now() / 1000
+    const items = []
+
+    // Sample every third hour from now to match the 3-hourly forecast model
+    for (let i = 0; i < hourly.time.length && items.length < 40; i++) {
+      if (hourly.time[i] < now || hourly.time[i] % 10800 !== 0) continue
+
+      items.push({
+        dt: hourly.time[i],
+        temp: hourly.temperature_2m[i],
+        feelsLike: hourly.apparent_temperature[i],
+        tempMin: hourly.temperature_2m[i],
+        tempMax: hourly.temperature_2m[i],
+        humidity: hourly.relative_humidity_2m[i],
+        pressure: Math.round(hourly.pressure_msl[i]),
+        visibility: hourly.visibility[i] ?? null,
+        windSpeed: hourly.wind_speed_10m[i],
+        windDeg: hourly.wind_direction_10m[i],
+        windGust: hourly.wind_gusts_10m[i] ?? null,
+        clouds: hourly.cloud_cover[i],
+        pop: (hourly.precipitation_probability[i] ?? 0) / 100,
+        ...splitPrecipitation(hourly.precipitation[i], hourly.rain[i], hourly.showers[i]),
+        ...describeWeatherCode(hourly.weather_code[i], hourly.is_day[i])
+      })
+    }
+
+    return {
+      timezone: data.utc_offset_seconds ?? 0,
+      items
+    }
+  },
+
+  async getAlerts() {
+    // Open-Meteo does not publish government warnings
+    return []
+  },
+
+  async getAirQuality(lat, lon) {
+    const data = await fetchJson(
+      `${AIR_QUALITY_URL}/air-quality?latitude=${lat}&longitude=${lon}&current=${AIR_QUALITY_FIELDS.join(',')}&timeformat=unixtime`,
+      'Air quality'
+    )
+    return toAirQuality(data.current.time, field => data.current[field])
+  },
+
+  async getAirQualityForecast(lat, lon) {
+    const data = await fetchJson(
+      `${AIR_QUALITY_URL}/air-quality?latitude=${lat}&longitude=${lon}&hourly=${AIR_QUALITY_FIELDS.join(',')}&forecast_days=5&timeformat=unixtime`,
+      'Air quality forecast'
+    )
+    const hourly = data.hourly
+    return {
+      items: hourly.time.map((time, i) => toAirQuality(time, field => hourly[field][i]))
+    }
+  },
+
+  async getUVIndex(lat, lon) {
+    const data = await fetchJson(
+      `${FORECAST_URL}/forecast?latitude=${lat}&longitude=${lon}&current=uv_index&hourly=uv_index&daily=uv_index_max&forecast_days=6&timezone=auto&timeformat=unixtime`,
+      'UV index'
+    )
+    return {
+      current: data.current.uv_index ?? null,
+      hourly: data.hourly.time.map((time, i) => ({ dt: time, uvIndex: data.hourly.uv_index[i] ?? null })),
+      daily: data.daily.time.map((time, i) => ({ dt: time, uvIndex: data.daily.uv_index_max[i] ?? null }))
+    }
+  },
+
+  async getHistory(lat, lon, startDate, endDate) {
+    // The archive lags a few days behind real time
+    const latestArchived = new Date()
+    latestArchived.setDate(latestArchived.getDate() - 5)
+    const end = endDate > toIsoDate(latestArchived) ? toIsoDate(latestArchived) : endDate
+
+    const data = await fetchJson(
+      `${ARCHIVE_URL}/archive?latitude=${lat}&longitude=${lon}&start_date=${startDate}&end_date=${end}&daily=temperature_2m_mean,temperature_2m_min,temperature_2m_max,precipitation_sum,relative_humidity_2m_mean&timezone=auto`,
+      'Historical'
+    )
+    const daily = data.daily
+
+    return daily.time.map((date, i) => ({
+      date,
+      temp: daily.temperature_2m_mean[i],
+      tempMin: daily.temperature_2m_min[i],
+      tempMax: daily.temperature_2m_max[i],
+      precip: daily.precipitation_sum[i] ?? 0,
+      humidity: daily.relative_humidity_2m_mean?.[i] ?? null
+    }))
+  },
+
+  async searchCities(query, limit, { lang = 'en' } = {}) {
+    const data = await fetchJson(
+      `${GEOCODING_URL}/search?name=${encodeURIComponent(query)}&count=${limit}&language=${lang}&format=json`,
+      'Geocoding'
+    )
+
+    return (data.results || []).map((city, index) => ({
+      id: `${city.latitude}-${city.longitude}-${index}`,
+      name: city.name,
+      country: city.country_code,
+      state: city.admin1 || '',
+      lat: city.latitude,
+      lon: city.longitude,
+      displayName: formatDisplayName(city.name, city.admin1, city.country_code)
+    }))
+  },
+
+  async reverseGeocode(lat, lon) {
+    // Open-Meteo has no reverse geocoding, so fall back to the coordinates
+    return {
+      name: `${lat.toFixed(2)}, ${lon.toFixed(2)}`,
+      country: '',
+      state: ''
+    }
+  }
+}
@@ -0,0 +1,204 @@
+import { fetchJson, formatDisplayName } from './request'
+
+// OpenWeatherMap Configuration
+const API_KEY = import.meta.env.VITE_OPENWEATHER_API_KEY
+const BASE_URL = import.meta.env.VITE_OPENWEATHER_BASE_URL
+const GEO_URL = 'https://api.openweathermap.org/geo/1.0'
+
+/**
+ * Normalize a current weather payload
+ * @param {Object} data - OpenWeatherMap /weather response
+ * @returns {Object} CurrentConditions
+ */
+function normalizeCurrent(data) {
+  return {
+    dt: data.dt,
+    timezone: data.timezone ?? 0,
+    temp: data.main.temp,
+    feelsLike: data.main.feels_like,
+    tempMin: data.main.temp_min,
+    tempMax: data.main.temp_max,
+    humidity: data.main.humidity,
+    pressure: data.main.pressure,
+    seaLevel: data.main.sea_level ?? null,
+    groundLevel: data.main.grnd_level ?? null,
+    visibility: data.visibility ?? null,
+    windSpeed: data.wind?.speed ?? 0,
+    windDeg: data.wind?.deg ?? 0,
+    windGust: data.wind?.gust ?? null,
+    clouds: data.clouds?.all ?? null,
+    rain: data.rain?.['1h'] ?? 0,
+    snow: data.snow?.['1h'] ?? 0,
+    condition: data.weather[0].main,
+    description: data.weather[0].description,
+    icon: data.weather[0].icon,
+    sunrise: data.sys?.sunrise ?? null,
+    sunset: data.sys?.sunset ?? null
+  }
+}
+
+/**
+ * Normalize a 3-hourly forecast payload
+ * @param {Object} data - OpenWeatherMap /forecast response
+ * @returns {Object} Forecast
+ */
+function normalizeForecast(data) {
+  return {
+    timezone: data.city?.timezone ?? 0,
+    items: data.list.map(item => ({
+      dt: item.dt,
+      temp: item.main.temp,
+      feelsLike: item.main.feels_like,
+      tempMin: item.main.temp_min,
+      tempMax: item.main.temp_max,
+      humidity: item.main.humidity,
+      pressure: item.main.pressure,
+      visibility: item.visibility ?? null,
+      windSpeed: item.wind?.speed ?? 0,
+      windDeg: item.wind?.deg ?? 0,
+      windGust: item.wind?.gust ?? null,
+      clouds: item.clouds?.all ?? null,
+      pop: item.pop ?? 0,
+      rain: item.rain?.['3h'] ?? 0,
+      snow: item.snow?.['3h'] ?? 0,
+      condition: item.weather[0].main,
+      description: item.weather[0].description,
+      icon: item.weather[0].icon
+    }))
+  }
+}
+
+/**
+ * Normalize a government alert
+ * @param {Object} alert - One Call alert object
+ * @returns {Object} Alert
+ */
+function normalizeAlert(alert) {
+  return {
+    sender: alert.sender_name || '',
+    event: alert.event,
+    start: alert.start,
+    end: alert.end,
+    description: alert.description || '',
+    tags: alert.tags || []
+  }
+}
+
+/**
+ * Normalize an air pollution entry
+ * @param {Object} item - /air_pollution list item
+ * @returns {Object} AirQuality
+ */
+function normalizeAirQuality(item) {
+  const components = item.components || {}
+  return {
+    dt: item.dt,
+    aqi: item.main?.aqi ?? null,
+    components: {
+      pm2_5: components.pm2_5 ?? null,
+      pm10: components.pm10 ?? null,
+      o3: components.o3 ?? null,
+      no2: components.no2 ?? null,
+      so2: components.so2 ?? null,
+      co: components.co ?? null
+    }
+  }
+}
+
+/**
+ * Normalize the UV index of a One Call payload
+ * @param {Object} data - OpenWeatherMap /onecall response
+ * @returns {Object} UVIndex
+ */
+function normalizeUVIndex(data) {
+  const toUV = (item) => ({ dt: item.dt, uvIndex: item.uvi ?? null })
+  return {
+    current: data.current?.uvi ?? null,
+    hourly: (data.hourly || []).map(toUV),
+    daily: (data.daily || []).map(toUV)
+  }
+}
+
+export const openWeatherMapProvider = {
+  id: 'openweathermap',
+  name: 'OpenWeatherMap',
+
+  async getCurrent(lat, lon, { lang = 'en' } = {}) {
+    const data = await fetchJson(
+      `${BASE_URL}/weather?lat=${lat}&lon=${lon}&units=metric&lang=${lang}&appid=${API_KEY}`,
+      'Weather'
+    )
+    return normalizeCurrent(data)
+  },
+
+  async getForecast(lat, lon, { lang = 'en' } = {}) {
+    const data = await fetchJson(
+      `${BASE_URL}/forecast?lat=${lat}&lon=${lon}&units=metric&lang=${lang}&appid=${API_KEY}`,
+      'Forecast'
+    )
+    return normalizeForecast(data)
+  },
+
+  // One Call carries both alerts and UV, so they share a request
+  async getAlertsAndUVIndex(lat, lon, { lang = 'en' } = {}) {
+    const data = await fetchJson(
+      `${BASE_URL}/onecall?lat=${lat}&lon=${lon}&exclude=minutely&lang=${lang}&appid=${API_KEY}`,
+      'One Call'
+    )
+    return {
+      alerts: (data.alerts || []).map(normalizeAlert),
+      uvIndex: normalizeUVIndex(data)
+    }
+  },
+
+  async getAirQuality(lat, lon) {
+    const data = await fetchJson(
+      `${BASE_URL}/air_pollution?lat=${lat}&lon=${lon}&appid=${API_KEY}`,
+      'Air quality'
+    )
+    return normalizeAirQuality(data.list[0])
+  },
+
+  async getAirQualityForecast(lat, lon) {
+    const data = await fetchJson(
+      `${BASE_URL}/air_pollution/forecast?lat=${lat}&lon=${lon}&appid=${API_KEY}`,
+      'Air quality forecast'
+    )
+    return { items: data.list.map(normalizeAirQuality) }
+  },
+
+  async searchCities(query, limit, { lang = 'en' } = {}) {
+    const data = await fetchJson(
+      `${GEO_URL}/direct?q=${encodeURIComponent(query)}&limit=${limit}&appid=${API_KEY}`,
+      'Geocoding'
+    )
+
+    // Format results with unique identifiers, preferring the localized name
+    return data.map((city, index) => {
+      const name = city.local_names?.[lang] || city.name
+      return {
+        id: `${city.lat}-${city.lon}-${index}`,
+        name,
+        country: city.country,
+        state: city.state || '',
+        lat: city.lat,
+        lon: city.lon,
+        displayName: formatDisplayName(name, city.state, city.country)
+      }
+    })
+  },
+
+  async reverseGeocode(lat, lon) {
+    const data = await fetchJson(
+      `${GEO_URL}/reverse?lat=${lat}&lon=${lon}&limit=1&appid=${API_KEY}`,
+      'Reverse geocoding'
+    )
+
+    if (data.length === 0) return null
+    return {
+      name: data[0].name,
+      country: data[0].country,
+      state: data[0].state || ''
+    }
+  }
+}
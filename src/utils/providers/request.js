@@ -0,0 +1,28 @@
+/**
+ * Fetch a URL and parse the JSON body
+ * @param {string} url - Request URL
+ * @param {string} label - API name used in error messages
+ * @returns {Promise<*>} Parsed response body
+ */
+export async function fetchJson(url, label) {
+  const response = await fetch(url)
+
+  if (!response.ok) {
+    throw new Error(`${label} API error: ${response.status}`)
+  }
+
+  return await response.json()
+}
+
+/**
+ * Format a city display name from its parts
+ * @param {string} name - City name
+ * @param {string} state - State or region (may be empty)
+ * @param {string} country - Country code or name
+ * @returns {string} Display name
+ */
+export function formatDisplayName(name, state, country) {
+  return state
+    ? `${name}, ${state}, ${country}`
+    : `${name}, ${country}`
+}
@@ -0,0 +1,34 @@
+import { fetchJson } from './request'
+
+// Visual Crossing Configuration
+const API_KEY = import.meta.env.VITE_VISUAL_CROSSING_API_KEY
+const BASE_URL = import.meta.env.VITE_VISUAL_CROSSING_BASE_URL
+
+/**
+ * Normalize a timeline day
+ * @param {Object} day - Visual Crossing days[] entry
+ * @returns {Object} HistoryDay
+ */
+function normalizeDay(day) {
+  return {
+    date: day.datetime,
+    temp: day.temp ?? null,
+    tempMin: day.tempmin ?? null,
+    tempMax: day.tempmax ?? null,
+    precip: day.precip ?? 0,
+    humidity: day.humidity ?? null
+  }
+}
+
+export const visualCrossingProvider = {
+  id: 'visualcrossing',
+  name: 'Visual Crossing',
+
+  async getHistory(lat, lon, startDate, endDate) {
+    const data = await fetchJson(
+      `${BASE_URL}/timeline/${lat},${lon}/${startDate}/${endDate}?unitGroup=metric&include=days&key=${API_KEY}&contentType=json`,
+      'Historical'
+    )
+    return (data.days || []).map(normalizeDay)
+  }
+}
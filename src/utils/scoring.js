@@ -0,0 +1,177 @@
+import { generateId } from '@/utils/helpers'
+
+/**
+ * "Best city for..." scoring. A profile is a list of criteria, each an
+ * ideal range for one metric plus a weight. A city scores 1 on a criterion
+ * inside the range, falling linearly to 0 at `tolerance` outside it; its
+ * profile score is the weighted mean as a percentage. Criteria whose metric
+ * is missing for a city are left out of that city's score.
+ *
+ * Ranges are metric (°C, m/s, %), like the weather data. Each metric reads
+ * the per-city data useWeather emits (weather, forecast, uvIndex); a metric
+ * needs a field there, or every criterion using it is always left out.
+ */
+
+// First forecast slot's precipitation probability, as a percentage
+const nextPrecipChance = (data) => {
+  const pop = data?.forecast?.items?.[0]?.pop
+  return pop == null ? null : Math.round(pop * 100)
+}
+
+// Current UV index, from the provider's UV data rather than current conditions
+const currentUVIndex = (data) => data?.uvIndex?.current
+
+// Metrics a criterion can use, with the range a new criterion starts from
+export const SCORING_METRICS = {
+  temperature: {
+    labelKey: 'metrics.temperature',
+    unitKind: 'temperatureUnit',
+    getValue: (data) => data?.weather?.temp,
+    defaults: { min: 18, max: 24, tolerance: 8 }
+  },
+  feelsLike: {
+    labelKey: 'metrics.feelsLike',
+    unitKind: 'temperatureUnit',
+    getValue: (data) => data?.weather?.feelsLike,
+    defaults: { min: 18, max: 24, tolerance: 8 }
+  },
+  humidity: {
+    labelKey: 'metrics.humidity',
+    getValue: (data) => data?.weather?.humidity,
+    defaults: { min: 30, max: 60, tolerance: 30 }
+  },
+  windSpeed: {
+    labelKey: 'metrics.windSpeed',
+    unitKind: 'windUnit',
+    getValue: (data) => data?.weather?.windSpeed,
+    defaults: { min: 0, max: 5, tolerance: 6 }
+  },
+  clouds: {
+    labelKey: 'metrics.clouds',
+    getValue: (data) => data?.weather?.clouds,
+    defaults: { min: 0, max: 30, tolerance: 50 }
+  },
+  precipChance: {
+    labelKey: 'metrics.precipChance',
+    getValue: nextPrecipChance,
+    defaults: { min: 0, max: 20, tolerance: 50 }
+  },
+  uvIndex: {
+    labelKey: 'metrics.uvIndex',
+    getValue: currentUVIndex,
+    defaults: { min: 0, max: 3, tolerance: 5 }
+  }
+}
+
+// Built-in profiles; user profiles are stored alongside them
+export const DEFAULT_PROFILES = [
+  {
+    id: 'beach',
+    nameKey: 'scoring.profiles.beach',
+    criteria: [
+      { metric: 'temperature', min: 26, max: 34, tolerance: 8, weight: 3 },
+      { metric: 'windSpeed', min: 0, max: 5, tolerance: 6, weight: 2 },
+      { metric: 'humidity', min: 30, max: 60, tolerance: 30, weight: 1 },
+      { metric: 'clouds', min: 0, max: 30, tolerance: 50, weight: 1 },
+      { metric: 'precipChance', min: 0, max: 10, tolerance: 50, weight: 2 }
+    ]
+  },
+  {
+    id: 'running',
+    nameKey: 'scoring.profiles.running',
+    criteria: [
+      { metric: 'temperature', min: 10, max: 18, tolerance: 10, weight: 3 },
+      { metric: 'uvIndex', min: 0, max: 3, tolerance: 5, weight: 2 },
+      { metric: 'windSpeed', min: 0, max: 6, tolerance: 6, weight: 1 },
+      { metric: 'humidity', min: 30, max: 70, tolerance: 25, weight: 1 },
+      { metric: 'precipChance', min: 0, max: 20, tolerance: 50, weight: 2 }
+    ]
+  },
+  {
+    id: 'sightseeing',
+    nameKey: 'scoring.profiles.sightseeing',
+    criteria: [
+      { metric: 'feelsLike', min: 16, max: 25, tolerance: 10, weight: 3 },
+      { metric: 'precipChance', min: 0, max: 20, tolerance: 50, weight: 3 },
+      { metric: 'windSpeed', min: 0, max: 8, tolerance: 8, weight: 1 },
+      { metric: 'clouds', min: 0, max: 60, tolerance: 40, weight: 1 }
+    ]
+  }
+]
+
+/**
+ * Create a criterion with the metric's default range
+ * @param {string} metric - Key of SCORING_METRICS
+ * @returns {Object} Criterion
+ */
+export function createCriterion(metric = 'temperature') {
+  return { metric, ...SCORING_METRICS[metric].defaults, weight: 1 }
+}
+
+/**
+ * Create a user profile
+ * @param {string} name - Profile name
+ * @returns {Object} Profile with one criterion
+ */
+export function createProfile(name) {
+  return {
+    id: `profile-${generateId()}`,
+    name,
+    criteria: [createCriterion()]
+  }
+}
+
+/**
+ * Score one value against a criterion
+ * @param {number} value - Metric value
+ * @param {Object} criterion - { min, max, tolerance }
+ * @returns {number} Score from 0 to 1
+ */
+export function scoreCriterion(value, criterion) {
+  const distance = Math.max(criterion.min - value, value - criterion.max, 0)
+  if (distance === 0) return 1
+  if (!(criterion.tolerance > 0)) return 0
+  return Math.max(0, 1 - distance / criterion.tolerance)
+}
+
+/**
+ * Score a city's weather against a profile
+ * @param {Object} data - City weather data ({ weather, forecast })
+ * @param {Object} profile - Scoring profile
+ * @returns {Object} { score: 0-100 or null when no criterion applies, breakdown }
+ */
+export function scoreCity(data, profile) {
+  const breakdown = profile.criteria
+    .map(criterion => {
+      const value = SCORING_METRICS[criterion.metric]?.getValue(data)
+      if (value == null || Number.isNaN(value)) return null
+      return { ...criterion, value, score: scoreCriterion(value, criterion) }
+    })
+    .filter(Boolean)
+
+  const totalWeight = breakdown.reduce((sum, item) => sum + item.weight, 0)
+  if (totalWeight === 0) return { score: null, breakdown }
+
+  const weighted = breakdown.reduce((sum, item) => sum + item.score * item.weight, 0)
+  return { score: Math.round((weighted / totalWeight) * 100), breakdown }
+}
+
+/**
+ * Rank values from highest to lowest (or lowest to highest). Ties share a
+ * rank (1, 2, 2, 4); missing values get no rank.
+ * @param {Object} values - Values keyed by ID
+ * @param {Object} [options]
+ * @param {boolean} [options.lowerIsBetter] - Rank the lowest value first
+ * @returns {Object} Ranks keyed by ID
+ */
+export function rankValues(values, { lowerIsBetter = false } = {}) {
+  const present = Object.values(values).filter(value => value != null)
+  const ranks = {}
+
+  Object.entries(values).forEach(([id, value]) => {
+    if (value == null) return
+    ranks[id] = present.filter(other => (lowerIsBetter ? other < value : other > value)).length + 1
+  })
+
+  return ranks
+}
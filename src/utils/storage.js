@@ -1,46 +1,178 @@
+import { generateId } from './helpers'
+
 // LocalStorage keys
 const STORAGE_KEYS = {
-  CITIES: 'weather_dashboard_cities',
+  CITIES: 'weather_dashboard_cities', // pre-dashboards city list, migrated on first read
+  DASHBOARDS: 'weather_dashboard_dashboards',
   PREFERENCES: 'weather_dashboard_preferences',
   LAYOUT: 'weather_dashboard_layout',
-  SEARCH_HISTORY: 'weather_dashboard_search_history'
+  SEARCH_HISTORY: 'weather_dashboard_search_history',
+  SCORING_PROFILES: 'weather_dashboard_scoring_profiles',
+  ALERT_RULES: 'weather_dashboard_alert_rules',
+  HIDDEN_ALERTS: 'weather_dashboard_hidden_alerts',
+  ALERT_LOG: 'weather_dashboard_alert_log',
+  WEATHER_SNAPSHOTS: 'weather_dashboard_weather_snapshots'
+}
+
+// SessionStorage keys (cleared when the tab closes)
+const SESSION_KEYS = {
+  SELECTION: 'weather_dashboard_selection'
 }
 
 // Default preferences
-const DEFAULT_PREFERENCES = {
+export const DEFAULT_PREFERENCES = {
   temperatureUnit: 'celsius', // 'celsius' or 'fahrenheit'
-  theme: 'dark',
+  windUnit: 'kmh', // 'kmh', 'mph', 'ms', 'knots' or 'beaufort'
+  pressureUnit: 'hPa', // 'hPa', 'inHg' or 'mmHg'
+  distanceUnit: 'km', // 'km' or 'mi'
+  precipUnit: 'mm', // 'mm' or 'in'
+  theme: 'dark', // 'dark', 'light' or 'system'
+  language: 'en', // 'en', 'fr' or 'es'
   autoRefresh: true,
   refreshInterval: 300000, // 5 minutes
   showAlerts: true
 }
 
+// Alert log entries kept, most recently seen first
+const MAX_ALERT_LOG = 200
+
+// City limit per dashboard
+export const DEFAULT_MAX_CITIES = 6
+export const MAX_CITIES_LIMIT = 50
+
 /**
- * Get saved cities from localStorage
- * @returns {Array} Array of saved city objects
+ * Create a dashboard object
+ * @param {string} name - Dashboard name (empty for the default dashboard)
+ * @param {Array} cities - Initial cities
+ * @returns {Object} Dashboard with id, name, maxCities and cities
  */
-export function getSavedCities() {
+function createDashboardObject(name, cities = []) {
+  return {
+    id: `dashboard-${generateId()}`,
+    name,
+    maxCities: DEFAULT_MAX_CITIES,
+    cities
+  }
+}
+
+/**
+ * Get all dashboards. Each dashboard holds its own city list and limit.
+ * A city list saved before dashboards existed becomes the default dashboard.
+ * @returns {Object} { activeId, dashboards }
+ */
+export function getDashboards() {
   try {
-    const cities = localStorage.getItem(STORAGE_KEYS.CITIES)
-    return cities ? JSON.parse(cities) : []
+    const stored = localStorage.getItem(STORAGE_KEYS.DASHBOARDS)
+    if (stored) return JSON.parse(stored)
+
+    const legacyCities = localStorage.getItem(STORAGE_KEYS.CITIES)
+    const dashboard = createDashboardObject('', legacyCities ? JSON.parse(legacyCities) : [])
+    const state = { activeId: dashboard.id, dashboards: [dashboard] }
+
+    localStorage.setItem(STORAGE_KEYS.DASHBOARDS, JSON.stringify(state))
+    localStorage.removeItem(STORAGE_KEYS.CITIES)
+    return state
   } catch (error) {
-    console.error('Error reading cities from localStorage:', error)
-    return []
+    console.error('Error reading dashboards from localStorage:', error)
+    const dashboard = createDashboardObject('')
+    return { activeId: dashboard.id, dashboards: [dashboard] }
   }
 }
 
 /**
- * Save cities to localStorage
- * @param {Array} cities - Array of city objects
+ * Save all dashboards to localStorage
+ * @param {Object} state - { activeId, dashboards }
  */
-export function saveCities(cities) {
+function saveDashboards(state) {
   try {
-    localStorage.setItem(STORAGE_KEYS.CITIES, JSON.stringify(cities))
+    localStorage.setItem(STORAGE_KEYS.DASHBOARDS, JSON.stringify(state))
   } catch (error) {
-    console.error('Error saving cities to localStorage:', error)
+    console.error('Error saving dashboards to localStorage:', error)
+  }
+}
+
+/**
+ * Get the active dashboard
+ * @returns {Object} Dashboard object
+ */
+export function getActiveDashboard() {
+  const { activeId, dashboards } = getDashboards()
+  return dashboards.find(dashboard => dashboard.id === activeId) || dashboards[0]
+}
+
+/**
+ * Switch to another dashboard
+ * @param {string} dashboardId - Dashboard ID
+ */
+export function setActiveDashboard(dashboardId) {
+  const state = getDashboards()
+  if (state.dashboards.some(dashboard => dashboard.id === dashboardId)) {
+    saveDashboards({ ...state, activeId: dashboardId })
   }
 }
 
+/**
+ * Create an empty dashboard and make it active
+ * @param {string} name - Dashboard name
+ * @returns {Object} New dashboard
+ */
+export function createDashboard(name) {
+  const state = getDashboards()
+  const dashboard = createDashboardObject(name.trim())
+  saveDashboards({ activeId: dashboard.id, dashboards: [...state.dashboards, dashboard] })
+  return dashboard
+}
+
+/**
+ * Update a dashboard's name, city limit or cities
+ * @param {string} dashboardId - Dashboard ID
+ * @param {Object} changes - { name, maxCities, cities }
+ */
+export function updateDashboard(dashboardId, changes) {
+  const state = getDashboards()
+  saveDashboards({
+    ...state,
+    dashboards: state.dashboards.map(dashboard =>
+      dashboard.id === dashboardId ? { ...dashboard, ...changes } : dashboard
+    )
+  })
+}
+
+/**
+ * Delete a dashboard and the weather snapshots of its cities.
+ * The last remaining dashboard cannot be deleted.
+ * @param {string} dashboardId - Dashboard ID
+ */
+export function deleteDashboard(dashboardId) {
+  const state = getDashboards()
+  const dashboard = state.dashboards.find(item => item.id === dashboardId)
+  if (!dashboard || state.dashboards.length === 1) return
+
+  dashboard.cities.forEach(city => removeWeatherSnapshot(city.id))
+
+  const dashboards = state.dashboards.filter(item => item.id !== dashboardId)
+  saveDashboards({
+    activeId: state.activeId === dashboardId ? dashboards[0].id : state.activeId,
+    dashboards
+  })
+}
+
+/**
+ * Get the active dashboard's cities from localStorage
+ * @returns {Array} Array of saved city objects
+ */
+export function getSavedCities() {
+  return getActiveDashboard().cities
+}
+
+/**
+ * Save the active dashboard's cities to localStorage
+ * @param {Array} cities - Array of city objects
+ */
+export function saveCities(cities) {
+  updateDashboard(getActiveDashboard().id, { cities })
+}
+
 /**
  * Add a city to saved cities
  * @param {Object} city - City object with name, lat, lon, etc.
@@ -57,7 +189,7 @@ export function addCity(city) {
   if (!exists) {
     const newCity = {
       ...city,
-      id: `${city.lat}-${city.lon}-${Date.now()}`,
+      id: `${city.lat}-${city.lon}-${generateId()}`,
       addedAt: new Date().toISOString()
     }
     cities.push(newCity)
@@ -76,6 +208,7 @@ export function removeCity(cityId) {
   const cities = getSavedCities()
   const filteredCities = cities.filter(city => city.id !== cityId)
   saveCities(filteredCities)
+  removeWeatherSnapshot(cityId)
   return filteredCities
 }
 
@@ -87,6 +220,89 @@ export function updateCityOrder(cities) {
   saveCities(cities)
 }
 
+/**
+ * Get the cities selected for comparison in this session
+ * @param {string} dashboardId - Dashboard ID
+ * @returns {Array<string>} Selected city IDs
+ */
+export function getSessionSelection(dashboardId) {
+  try {
+    const selection = sessionStorage.getItem(SESSION_KEYS.SELECTION)
+    return (selection ? JSON.parse(selection) : {})[dashboardId] || []
+  } catch (error) {
+    console.error('Error reading selection from sessionStorage:', error)
+    return []
+  }
+}
+
+/**
+ * Save the cities selected for comparison in this session
+ * @param {string} dashboardId - Dashboard ID
+ * @param {Array<string>} cityIds - Selected city IDs
+ */
+export function saveSessionSelection(dashboardId, cityIds) {
+  try {
+    const stored = sessionStorage.getItem(SESSION_KEYS.SELECTION)
+    const selection = stored ? JSON.parse(stored) : {}
+    selection[dashboardId] = cityIds
+    sessionStorage.setItem(SESSION_KEYS.SELECTION, JSON.stringify(selection))
+  } catch (error) {
+    console.error('Error saving selection to sessionStorage:', error)
+  }
+}
+
+/**
+ * Get all last-known weather snapshots
+ * @returns {Object} Snapshots keyed by city ID
+ */
+function getWeatherSnapshots() {
+  try {
+    const snapshots = localStorage.getItem(STORAGE_KEYS.WEATHER_SNAPSHOTS)
+    return snapshots ? JSON.parse(snapshots) : {}
+  } catch (error) {
+    console.error('Error reading weather snapshots from localStorage:', error)
+    return {}
+  }
+}
+
+/**
+ * Get the last-known weather for a city, for offline display
+ * @param {string} cityId - City ID
+ * @returns {Object|null} Snapshot with weather, forecast, alerts, air quality, UV index and savedAt
+ */
+export function getWeatherSnapshot(cityId) {
+  return getWeatherSnapshots()[cityId] || null
+}
+
+/**
+ * Save the last-known weather for a city
+ * @param {string} cityId - City ID
+ * @param {Object} data - Object with weather, forecast, alerts, air quality and UV index
+ */
+export function saveWeatherSnapshot(cityId, data) {
+  try {
+    const snapshots = getWeatherSnapshots()
+    snapshots[cityId] = { ...data, savedAt: new Date().toISOString() }
+    localStorage.setItem(STORAGE_KEYS.WEATHER_SNAPSHOTS, JSON.stringify(snapshots))
+  } catch (error) {
+    console.error('Error saving weather snapshot to localStorage:', error)
+  }
+}
+
+/**
+ * Remove the last-known weather for a city
+ * @param {string} cityId - City ID
+ */
+export function removeWeatherSnapshot(cityId) {
+  try {
+    const snapshots = getWeatherSnapshots()
+    delete snapshots[cityId]
+    localStorage.setItem(STORAGE_KEYS.WEATHER_SNAPSHOTS, JSON.stringify(snapshots))
+  } catch (error) {
+    console.error('Error removing weather snapshot from localStorage:', error)
+  }
+}
+
 /**
  * Get user preferences from localStorage
  * @returns {Object} User preferences
@@ -141,6 +357,155 @@ export function saveLayoutConfig(layout) {
   }
 }
 
+/**
+ * Get the user's scoring profiles and the profile in use
+ * @returns {Object} { activeId, profiles }
+ */
+export function getScoringSettings() {
+  try {
+    const settings = localStorage.getItem(STORAGE_KEYS.SCORING_PROFILES)
+    return settings ? JSON.parse(settings) : { activeId: null, profiles: [] }
+  } catch (error) {
+    console.error('Error reading scoring profiles from localStorage:', error)
+    return { activeId: null, profiles: [] }
+  }
+}
+
+/**
+ * Save the user's scoring profiles and the profile in use
+ * @param {Object} settings - { activeId, profiles }
+ */
+export function saveScoringSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEYS.SCORING_PROFILES, JSON.stringify(settings))
+  } catch (error) {
+    console.error('Error saving scoring profiles to localStorage:', error)
+  }
+}
+
+/**
+ * Get the user's alert rules and when each last sent a notification
+ * @returns {Object} { rules, notifiedAt } (notifiedAt keyed by "ruleId:cityId", in ms)
+ */
+export function getAlertRuleSettings() {
+  try {
+    const settings = localStorage.getItem(STORAGE_KEYS.ALERT_RULES)
+    return settings ? JSON.parse(settings) : { rules: [], notifiedAt: {} }
+  } catch (error) {
+    console.error('Error reading alert rules from localStorage:', error)
+    return { rules: [], notifiedAt: {} }
+  }
+}
+
+/**
+ * Save the user's alert rules and notification times
+ * @param {Object} settings - { rules, notifiedAt }
+ */
+export function saveAlertRuleSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEYS.ALERT_RULES, JSON.stringify(settings))
+  } catch (error) {
+    console.error('Error saving alert rules to localStorage:', error)
+  }
+}
+
+/**
+ * Get the alerts the user dismissed or snoozed
+ * @returns {Object} { until, action } keyed by alert key, until in ms
+ */
+export function getHiddenAlerts() {
+  try {
+    const hidden = localStorage.getItem(STORAGE_KEYS.HIDDEN_ALERTS)
+    return hidden ? JSON.parse(hidden) : {}
+  } catch (error) {
+    console.error('Error reading hidden alerts from localStorage:', error)
+    return {}
+  }
+}
+
+/**
+ * Save the alerts the user dismissed or snoozed
+ * @param {Object} hidden - { until, action } keyed by alert key
+ */
+export function saveHiddenAlerts(hidden) {
+  try {
+    localStorage.setItem(STORAGE_KEYS.HIDDEN_ALERTS, JSON.stringify(hidden))
+  } catch (error) {
+    console.error('Error saving hidden alerts to localStorage:', error)
+  }
+}
+
+/**
+ * Get the log of weather alerts seen
+ * @returns {Array} Entries with id, cityId, cityName, timezone, sender, event,
+ *   start, end, description, firstSeen and lastSeen (ms), most recently seen first
+ */
+export function getAlertLog() {
+  try {
+    const log = localStorage.getItem(STORAGE_KEYS.ALERT_LOG)
+    return log ? JSON.parse(log) : []
+  } catch (error) {
+    console.error('Error reading alert log from localStorage:', error)
+    return []
+  }
+}
+
+/**
+ * Record a city's alerts in the log. An alert already logged for the city
+ * only has its last-seen time and description updated.
+ * @param {Object} city - City with id and name
+ * @param {Array} alerts - Alerts from the weather provider
+ * @param {number} timezone - City UTC offset in seconds
+ */
+export function logAlerts(city, alerts, timezone = 0) {
+  if (alerts.length === 0) return
+
+  try {
+    const now = Date.now()
+    const log = getAlertLog()
+
+    alerts.forEach(alert => {
+      const id = [city.id, alert.sender, alert.event, alert.start, alert.end].join('|')
+      const index = log.findIndex(entry => entry.id === id)
+      const entry = {
+        id,
+        cityId: city.id,
+        cityName: city.name,
+        timezone,
+        sender: alert.sender,
+        event: alert.event,
+        start: alert.start,
+        end: alert.end,
+        description: alert.description,
+        firstSeen: index === -1 ? now : log[index].firstSeen,
+        lastSeen: now
+      }
+
+      if (index === -1) {
+        log.push(entry)
+      } else {
+        log[index] = entry
+      }
+    })
+
+    log.sort((a, b) => b.lastSeen - a.lastSeen)
+    localStorage.setItem(STORAGE_KEYS.ALERT_LOG, JSON.stringify(log.slice(0, MAX_ALERT_LOG)))
+  } catch (error) {
+    console.error('Error saving alert log:', error)
+  }
+}
+
+/**
+ * Clear the alert log
+ */
+export function clearAlertLog() {
+  try {
+    localStorage.removeItem(STORAGE_KEYS.ALERT_LOG)
+  } catch (error) {
+    console.error('Error clearing alert log:', error)
+  }
+}
+
 /**
  * Get search history
  * @returns {Array} Recent search queries
@@ -209,31 +574,54 @@ export function clearAllData() {
 
 /**
  * Export dashboard data for backup
- * @returns {Object} All dashboard data
+ * @returns {Object} Every dashboard and the active one's id, plus preferences, layout,
+ *   search history, scoring profiles and alert rules (without notification times)
  */
 export function exportData() {
+  const { activeId, dashboards } = getDashboards()
   return {
-    cities: getSavedCities(),
+    dashboards,
+    activeId,
     preferences: getPreferences(),
     layout: getLayoutConfig(),
     searchHistory: getSearchHistory(),
+    scoringProfiles: getScoringSettings(),
+    alertRules: getAlertRuleSettings().rules,
     exportedAt: new Date().toISOString()
   }
 }
 
 /**
- * Import dashboard data from backup
- * @param {Object} data - Exported data object
+ * Import dashboard data from backup, replacing what is stored.
+ * Validate and migrate backups with utils/backup.js before calling this.
+ * @param {Object} data - Object with dashboards, activeId, preferences, layout,
+ *   searchHistory, scoringProfiles and alertRules
  */
 export function importData(data) {
   try {
-    if (data.cities) saveCities(data.cities)
-    if (data.preferences) savePreferences(data.preferences)
-    if (data.layout) saveLayoutConfig(data.layout)
-    if (data.searchHistory) {
-      localStorage.setItem(STORAGE_KEYS.SEARCH_HISTORY, JSON.stringify(data.searchHistory))
-    }
+    const cityIds = new Set(data.dashboards.flatMap(dashboard => dashboard.cities.map(city => city.id)))
+    getDashboards().dashboards
+      .flatMap(dashboard => dashboard.cities)
+      .filter(city => !cityIds.has(city.id))
+      .forEach(city => removeWeatherSnapshot(city.id))
+
+    localStorage.setItem(STORAGE_KEYS.DASHBOARDS, JSON.stringify({
+      activeId: data.activeId,
+      dashboards: data.dashboards
+    }))
+    localStorage.setItem(STORAGE_KEYS.PREFERENCES, JSON.stringify(data.preferences))
+    localStorage.setItem(STORAGE_KEYS.LAYOUT, JSON.stringify(data.layout))
+    localStorage.setItem(STORAGE_KEYS.SEARCH_HISTORY, JSON.stringify(data.searchHistory))
+    localStorage.setItem(STORAGE_KEYS.SCORING_PROFILES, JSON.stringify(data.scoringProfiles))
+
+    // Notification times only matter for rules that are kept
+    const ruleIds = new Set(data.alertRules.map(rule => rule.id))
+    const notifiedAt = Object.fromEntries(
+      Object.entries(getAlertRuleSettings().notifiedAt).filter(([key]) => ruleIds.has(key.split(':')[0]))
+    )
+    localStorage.setItem(STORAGE_KEYS.ALERT_RULES, JSON.stringify({ rules: data.alertRules, notifiedAt }))
   } catch (error) {
     console.error('Error importing data:', error)
+    throw error
   }
 }
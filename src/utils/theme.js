@@ -0,0 +1,42 @@
+/**
+ * Theme palettes for colours that can't come from CSS classes
+ * (Chart.js options, image export, the browser theme-color).
+ * Keep the page colours in step with the theme variables in main.css.
+ */
+export const THEMES = {
+  dark: {
+    page: '#0f172a',
+    chart: {
+      text: 'rgba(255, 255, 255, 0.7)',
+      tick: 'rgba(255, 255, 255, 0.5)',
+      grid: 'rgba(255, 255, 255, 0.05)',
+      tooltipBackground: 'rgba(15, 23, 42, 0.9)',
+      tooltipTitle: '#fff',
+      tooltipBody: 'rgba(255, 255, 255, 0.8)',
+      tooltipBorder: 'rgba(255, 255, 255, 0.1)'
+    }
+  },
+  light: {
+    page: '#f1f5f9',
+    chart: {
+      text: 'rgba(15, 23, 42, 0.7)',
+      tick: 'rgba(15, 23, 42, 0.55)',
+      grid: 'rgba(15, 23, 42, 0.08)',
+      tooltipBackground: 'rgba(255, 255, 255, 0.95)',
+      tooltipTitle: '#0f172a',
+      tooltipBody: 'rgba(15, 23, 42, 0.8)',
+      tooltipBorder: 'rgba(15, 23, 42, 0.1)'
+    }
+  }
+}
+
+/**
+ * Resolve the theme preference to the theme that is shown
+ * @param {string} theme - 'dark', 'light' or 'system'
+ * @param {boolean} systemPrefersLight - Whether the OS asks for a light theme
+ * @returns {string} 'dark' or 'light'
+ */
+export function resolveTheme(theme, systemPrefersLight) {
+  if (theme === 'system') return systemPrefersLight ? 'light' : 'dark'
+  return theme === 'light' ? 'light' : 'dark'
+}
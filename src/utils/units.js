@@ -0,0 +1,204 @@
+import { convertTemperature } from './helpers'
+import { formatNumber } from '@/i18n'
+
+/**
+ * Unit conversion and formatting. Weather data is always metric
+ * (°C, m/s, hPa, metres, mm); these helpers convert it to the units chosen
+ * in the user's preferences (temperatureUnit, windUnit, pressureUnit,
+ * distanceUnit, precipUnit).
+ */
+
+// Selectable units per preference, with display symbols (names live in the i18n catalogs)
+export const UNIT_OPTIONS = {
+  temperatureUnit: [
+    { value: 'celsius', symbol: '°C' },
+    { value: 'fahrenheit', symbol: '°F' }
+  ],
+  windUnit: [
+    { value: 'kmh', symbol: 'km/h' },
+    { value: 'mph', symbol: 'mph' },
+    { value: 'ms', symbol: 'm/s' },
+    { value: 'knots', symbol: 'kn' },
+    { value: 'beaufort', symbol: 'Bft' }
+  ],
+  pressureUnit: [
+    { value: 'hPa', symbol: 'hPa' },
+    { value: 'inHg', symbol: 'inHg' },
+    { value: 'mmHg', symbol: 'mmHg' }
+  ],
+  distanceUnit: [
+    { value: 'km', symbol: 'km' },
+    { value: 'mi', symbol: 'mi' }
+  ],
+  precipUnit: [
+    { value: 'mm', symbol: 'mm' },
+    { value: 'in', symbol: 'in' }
+  ]
+}
+
+// Upper wind speed bound (m/s) of Beaufort forces 0 to 11; above is force 12
+const BEAUFORT_LIMITS = [0.5, 1.6, 3.4, 5.5, 8.0, 10.8, 13.9, 17.2, 20.8, 24.5, 28.5, 32.7]
+
+const isMissing = (value) => value === null || value === undefined || Number.isNaN(value)
+
+/**
+ * Get the display symbol for a unit preference
+ * @param {string} kind - Preference key (e.g. 'windUnit')
+ * @param {Object} units - User preferences
+ * @returns {string} Unit symbol
+ */
+export function getUnitSymbol(kind, units) {
+  const option = UNIT_OPTIONS[kind]?.find(o => o.value === units[kind])
+  return option ? option.symbol : ''
+}
+
+/**
+ * Convert a Celsius temperature to the preferred unit
+ * @param {number} celsius - Temperature in °C
+ * @param {Object} units - User preferences
+ * @returns {number} Converted temperature
+ */
+export function convertTemp(celsius, units) {
+  if (isMissing(celsius)) return null
+  return convertTemperature(celsius, 'celsius', units.temperatureUnit)
+}
+
+/**
+ * Convert a wind speed to the preferred unit
+ * @param {number} ms - Wind speed in m/s
+ * @param {Object} units - User preferences
+ * @returns {number} Converted speed (Beaufort force for 'beaufort')
+ */
+export function convertWind(ms, units) {
+  if (isMissing(ms)) return null
+
+  switch (units.windUnit) {
+    case 'mph':
+      return ms * 2.23694
+    case 'ms':
+      return ms
+    case 'knots':
+      return ms * 1.94384
+    case 'beaufort': {
+      const force = BEAUFORT_LIMITS.findIndex(limit => ms < limit)
+      return force === -1 ? 12 : force
+    }
+    default:
+      return ms * 3.6
+  }
+}
+
+/**
+ * Convert a temperature in the preferred unit back to Celsius
+ * @param {number} value - Temperature in the preferred unit
+ * @param {Object} units - User preferences
+ * @returns {number} Temperature in °C
+ */
+export function toCelsius(value, units) {
+  if (isMissing(value)) return null
+  return convertTemperature(value, units.temperatureUnit, 'celsius')
+}
+
+/**
+ * Convert a pressure to the preferred unit
+ * @param {number} hPa - Pressure in hectopascals
+ * @param {Object} units - User preferences
+ * @returns {number} Converted pressure
+ */
+export function convertPressure(hPa, units) {
+  if (isMissing(hPa)) return null
+
+  switch (units.pressureUnit) {
+    case 'inHg':
+      return hPa * 0.02953
+    case 'mmHg':
+      return hPa * 0.750062
+    default:
+      return hPa
+  }
+}
+
+/**
+ * Convert a distance to the preferred unit
+ * @param {number} metres - Distance in metres
+ * @param {Object} units - User preferences
+ * @returns {number} Distance in km or miles
+ */
+export function convertDistance(metres, units) {
+  if (isMissing(metres)) return null
+  return units.distanceUnit === 'mi' ? metres / 1609.34 : metres / 1000
+}
+
+/**
+ * Convert a precipitation amount to the preferred unit
+ * @param {number} mm - Precipitation in millimetres
+ * @param {Object} units - User preferences
+ * @returns {number} Precipitation in mm or inches
+ */
+export function convertPrecip(mm, units) {
+  if (isMissing(mm)) return null
+  return units.precipUnit === 'in' ? mm / 25.4 : mm
+}
+
+/**
+ * Format a temperature for display
+ * @param {number} celsius - Temperature in °C
+ * @param {Object} units - User preferences
+ * @param {boolean} showUnit - Show °C/°F rather than a bare degree sign
+ * @returns {string} Formatted temperature
+ */
+export function formatTemp(celsius, units, showUnit = true) {
+  if (isMissing(celsius)) return '--'
+  const rounded = formatNumber(Math.round(convertTemp(celsius, units)))
+  return showUnit ? `${rounded}${getUnitSymbol('temperatureUnit', units)}` : `${rounded}°`
+}
+
+/**
+ * Format a wind speed for display
+ * @param {number} ms - Wind speed in m/s
+ * @param {Object} units - User preferences
+ * @returns {string} Formatted wind speed
+ */
+export function formatWindSpeed(ms, units) {
+  if (isMissing(ms)) return '--'
+  const speed = convertWind(ms, units)
+  if (units.windUnit === 'beaufort') return `Bft ${speed}`
+  return `${formatNumber(speed, units.windUnit === 'ms' ? 1 : 0)} ${getUnitSymbol('windUnit', units)}`
+}
+
+/**
+ * Format a pressure for display
+ * @param {number} hPa - Pressure in hectopascals
+ * @param {Object} units - User preferences
+ * @returns {string} Formatted pressure
+ */
+export function formatPressure(hPa, units) {
+  if (isMissing(hPa)) return '--'
+  const pressure = convertPressure(hPa, units)
+  const decimals = units.pressureUnit === 'inHg' ? 2 : 0
+  return `${formatNumber(pressure, decimals)} ${getUnitSymbol('pressureUnit', units)}`
+}
+
+/**
+ * Format a distance (e.g. visibility) for display
+ * @param {number} metres - Distance in metres
+ * @param {Object} units - User preferences
+ * @returns {string} Formatted distance
+ */
+export function formatDistance(metres, units) {
+  if (isMissing(metres)) return '--'
+  if (units.distanceUnit !== 'mi' && metres < 1000) return `${formatNumber(metres)} m`
+  return `${formatNumber(convertDistance(metres, units), 1)} ${getUnitSymbol('distanceUnit', units)}`
+}
+
+/**
+ * Format a precipitation amount for display
+ * @param {number} mm - Precipitation in millimetres
+ * @param {Object} units - User preferences
+ * @returns {string} Formatted precipitation
+ */
+export function formatPrecip(mm, units) {
+  if (isMissing(mm)) return '--'
+  const decimals = units.precipUnit === 'in' ? 2 : 1
+  return `${formatNumber(convertPrecip(mm, units), decimals)} ${getUnitSymbol('precipUnit', units)}`
+}
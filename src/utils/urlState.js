@@ -0,0 +1,102 @@
+/**
+ * Shareable view state in the URL query, alongside the route, e.g.
+ * /forecast?metric=humidity&unit=fahrenheit&city=48.8566,2.3522,FR,Paris
+ * Each `city` is "lat,lon,country,name"; the name comes last so it may contain commas.
+ */
+
+// Metrics (chart types) that can be linked to, per view
+export const VIEW_METRICS = {
+  forecast: ['temperature', 'humidity', 'wind', 'airQuality', 'uvIndex'],
+  history: ['temperature', 'precipitation']
+}
+
+const TEMPERATURE_UNITS = ['celsius', 'fahrenheit']
+
+// ~11 m, enough to tell cities apart without long URLs
+const COORDINATE_DECIMALS = 4
+
+const roundCoordinate = (value) => Number(value.toFixed(COORDINATE_DECIMALS))
+
+// Route query values may be missing, repeated or null
+const queryValues = (value) => [].concat(value ?? []).filter(item => typeof item === 'string')
+
+/**
+ * Check whether two cities are the same place, at URL precision
+ * @param {Object} a - City with lat and lon
+ * @param {Object} b - City with lat and lon
+ * @returns {boolean}
+ */
+export function isSameLocation(a, b) {
+  return roundCoordinate(a.lat) === roundCoordinate(b.lat) &&
+    roundCoordinate(a.lon) === roundCoordinate(b.lon)
+}
+
+/**
+ * Parse one `city` parameter
+ * @param {string} value - "lat,lon,country,name"
+ * @returns {Object|null} City, or null when invalid
+ */
+function parseCity(value) {
+  const [lat, lon, country, ...name] = value.split(',')
+  const city = {
+    name: name.join(',').trim(),
+    country: country?.trim() || '',
+    lat: Number(lat),
+    lon: Number(lon)
+  }
+
+  const valid = city.name &&
+    lat?.trim() && Number.isFinite(city.lat) && Math.abs(city.lat) <= 90 &&
+    lon?.trim() && Number.isFinite(city.lon) && Math.abs(city.lon) <= 180
+  return valid ? city : null
+}
+
+/**
+ * Read view state from a route query. Invalid or unknown values are dropped.
+ * @param {Object} query - Route query
+ * @param {string} view - Route name, which decides the valid metrics
+ * @returns {Object} { metric, unit, cities }
+ */
+export function parseUrlQuery(query, view) {
+  const [metric] = queryValues(query.metric)
+  const [unit] = queryValues(query.unit)
+
+  return {
+    metric: VIEW_METRICS[view]?.includes(metric) ? metric : null,
+    unit: TEMPERATURE_UNITS.includes(unit) ? unit : null,
+    cities: queryValues(query.city).map(parseCity).filter(Boolean)
+  }
+}
+
+/**
+ * Write view state as a route query
+ * @param {Object} state - { view, metric, unit, cities }
+ * @returns {Object} Route query
+ */
+export function buildUrlQuery({ view, metric, unit, cities = [] }) {
+  const query = {}
+
+  if (metric && VIEW_METRICS[view]?.includes(metric)) query.metric = metric
+  if (unit) query.unit = unit
+  if (cities.length > 0) {
+    query.city = cities.map(city => [
+      roundCoordinate(city.lat),
+      roundCoordinate(city.lon),
+      city.country || '',
+      city.name
+    ].join(','))
+  }
+
+  return query
+}
+
+/**
+ * Compare two route queries by value
+ * @param {Object} a - Route query
+ * @param {Object} b - Route query
+ * @returns {boolean}
+ */
+export function isSameQuery(a, b) {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)])
+  return [...keys].every(key => queryValues(a[key]).join('\n') === queryValues(b[key]).join('\n'))
+}
@@ -1,28 +1,61 @@
-// Weather API Configuration
-const OPENWEATHER_API_KEY = import.meta.env.VITE_OPENWEATHER_API_KEY
-const VISUAL_CROSSING_API_KEY = import.meta.env.VITE_VISUAL_CROSSING_API_KEY
+import { aggregateMonthlyClimate } from './helpers'
+import { getWeatherProvider, getHistoryProvider } from './providers'
+import { getCacheKey, readCache, cachedFetch } from './cache'
+import { getLanguage } from '@/i18n'
 
-const OPENWEATHER_BASE_URL = import.meta.env.VITE_OPENWEATHER_BASE_URL
-const VISUAL_CROSSING_BASE_URL = import.meta.env.VITE_VISUAL_CROSSING_BASE_URL
+// How long cached responses stay fresh, per endpoint
+const CACHE_TTL = {
+  current: 10 * 60 * 1000, // 10 minutes
+  forecast: 30 * 60 * 1000, // 30 minutes
+  alertsAndUVIndex: 15 * 60 * 1000, // 15 minutes
+  airQuality: 30 * 60 * 1000, // 30 minutes
+  airQualityForecast: 60 * 60 * 1000, // 1 hour
+  monthly: 7 * 24 * 60 * 60 * 1000 // 7 days
+}
 
+/**
+ * Build the cache key for an endpoint, scoped to the provider serving it
+ * and, for endpoints returning text, the language it was requested in
+ * @param {string} endpoint - 'current', 'forecast', 'alertsAndUVIndex',
+ *   'airQuality', 'airQualityForecast' or 'monthly'
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {string} Cache key
+ */
+function endpointCacheKey(endpoint, lat, lon) {
+  if (endpoint === 'monthly') {
+    return getCacheKey(`${getHistoryProvider().id}/${endpoint}`, lat, lon)
+  }
+  return getCacheKey(`${getWeatherProvider().id}/${endpoint}/${getLanguage()}`, lat, lon)
+}
+
+/**
+ * Get when the cached response for an endpoint was stored
+ * @param {string} endpoint - Endpoint name, as for endpointCacheKey
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {number|null} Timestamp in ms, or null when nothing is cached
+ */
+export function getCachedAt(endpoint, lat, lon) {
+  return readCache(endpointCacheKey(endpoint, lat, lon))?.cachedAt ?? null
+}
 
 /**
- * Fetch current weather data from OpenWeatherMap
+ * Fetch current weather conditions
  * @param {number} lat - Latitude
  * @param {number} lon - Longitude
- * @param {string} units - 'metric' or 'imperial'
+ * @param {Object} options - Cache options (force, onRevalidate), see cachedFetch
+ * @returns {Promise<Object>} Normalized CurrentConditions
  */
-export async function getCurrentWeather(lat, lon, units = 'metric') {
+export async function getCurrentWeather(lat, lon, options = {}) {
   try {
-    const response = await fetch(
-      `${OPENWEATHER_BASE_URL}/weather?lat=${lat}&lon=${lon}&units=${units}&appid=${OPENWEATHER_API_KEY}`
+    const { data } = await cachedFetch(
+      endpointCacheKey('current', lat, lon),
+      CACHE_TTL.current,
+      () => getWeatherProvider('getCurrent').getCurrent(lat, lon, { lang: getLanguage() }),
+      options
     )
-    
-    if (!response.ok) {
-      throw new Error(`Weather API error: ${response.status}`)
-    }
-    
-    return await response.json()
+    return data
   } catch (error) {
     console.error('Error fetching current weather:', error)
     throw error
@@ -30,22 +63,21 @@ export async function getCurrentWeather(lat, lon, units = 'metric') {
 }
 
 /**
- * Fetch 5-day forecast from OpenWeatherMap
+ * Fetch the 5-day, 3-hourly forecast
  * @param {number} lat - Latitude
  * @param {number} lon - Longitude
- * @param {string} units - 'metric' or 'imperial'
+ * @param {Object} options - Cache options (force, onRevalidate), see cachedFetch
+ * @returns {Promise<Object>} Normalized Forecast
  */
-export async function getForecast(lat, lon, units = 'metric') {
+export async function getForecast(lat, lon, options = {}) {
   try {
-    const response = await fetch(
-      `${OPENWEATHER_BASE_URL}/forecast?lat=${lat}&lon=${lon}&units=${units}&appid=${OPENWEATHER_API_KEY}`
+    const { data } = await cachedFetch(
+      endpointCacheKey('forecast', lat, lon),
+      CACHE_TTL.forecast,
+      () => getWeatherProvider('getForecast').getForecast(lat, lon, { lang: getLanguage() }),
+      options
     )
-    
-    if (!response.ok) {
-      throw new Error(`Forecast API error: ${response.status}`)
-    }
-    
-    return await response.json()
+    return data
   } catch (error) {
     console.error('Error fetching forecast:', error)
     throw error
@@ -53,57 +85,64 @@ export async function getForecast(lat, lon, units = 'metric') {
 }
 
 /**
- * Search cities by name from OpenWeatherMap Geocoding API
+ * Search cities by name
  * @param {string} query - City name to search
  * @param {number} limit - Maximum number of results
  */
 export async function searchCities(query, limit = 5) {
   try {
-    const response = await fetch(
-      `https://api.openweathermap.org/geo/1.0/direct?q=${encodeURIComponent(query)}&limit=${limit}&appid=${OPENWEATHER_API_KEY}`
-    )
-    
-    if (!response.ok) {
-      throw new Error(`Geocoding API error: ${response.status}`)
-    }
-    
-    const data = await response.json()
-    
-    // Format results with unique identifiers
-    return data.map((city, index) => ({
-      id: `${city.lat}-${city.lon}-${index}`,
-      name: city.name,
-      country: city.country,
-      state: city.state || '',
-      lat: city.lat,
-      lon: city.lon,
-      displayName: city.state 
-        ? `${city.name}, ${city.state}, ${city.country}`
-        : `${city.name}, ${city.country}`
-    }))
+    return await getWeatherProvider('searchCities').searchCities(query, limit, { lang: getLanguage() })
   } catch (error) {
     console.error('Error searching cities:', error)
     throw error
   }
 }
 
+/**
+ * Fetch alerts and UV index together, cached as one entry. Concurrent
+ * callers share the request (see cachedFetch), so a provider implementing
+ * getAlertsAndUVIndex is asked once for both.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {string} field - 'alerts' or 'uvIndex'
+ * @param {Object} options - Cache options (force, onRevalidate), see cachedFetch
+ * @returns {Promise<*>} The requested field
+ */
+async function getAlertsAndUVIndexField(lat, lon, field, { onRevalidate, ...options } = {}) {
+  const lang = getLanguage()
+  const { data } = await cachedFetch(
+    endpointCacheKey('alertsAndUVIndex', lat, lon),
+    CACHE_TTL.alertsAndUVIndex,
+    async () => {
+      const provider = getWeatherProvider()
+      if (typeof provider.getAlertsAndUVIndex === 'function') {
+        return provider.getAlertsAndUVIndex(lat, lon, { lang })
+      }
+
+      const [alerts, uvIndex] = await Promise.all([
+        getWeatherProvider('getAlerts').getAlerts(lat, lon, { lang }),
+        getWeatherProvider('getUVIndex').getUVIndex(lat, lon)
+      ])
+      return { alerts, uvIndex }
+    },
+    {
+      ...options,
+      onRevalidate: onRevalidate && ((fresh, cachedAt) => onRevalidate(fresh[field], cachedAt))
+    }
+  )
+  return data[field]
+}
+
 /**
  * Get weather alerts for a location
  * @param {number} lat - Latitude
  * @param {number} lon - Longitude
+ * @param {Object} options - Cache options (force, onRevalidate), see cachedFetch
+ * @returns {Promise<Array>} Normalized alerts (empty on failure)
  */
-export async function getWeatherAlerts(lat, lon) {
+export async function getWeatherAlerts(lat, lon, options = {}) {
   try {
-    const response = await fetch(
-      `${OPENWEATHER_BASE_URL}/onecall?lat=${lat}&lon=${lon}&exclude=minutely,hourly,daily&appid=${OPENWEATHER_API_KEY}`
-    )
-    
-    if (!response.ok) {
-      throw new Error(`Alerts API error: ${response.status}`)
-    }
-    
-    const data = await response.json()
-    return data.alerts || []
+    return await getAlertsAndUVIndexField(lat, lon, 'alerts', options)
   } catch (error) {
     console.error('Error fetching weather alerts:', error)
     return []
@@ -111,23 +150,76 @@ export async function getWeatherAlerts(lat, lon) {
 }
 
 /**
- * Fetch historical weather data from Visual Crossing
+ * Get current air quality for a location
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Object} options - Cache options (force, onRevalidate), see cachedFetch
+ * @returns {Promise<Object|null>} Normalized AirQuality (null when unavailable)
+ */
+export async function getAirQuality(lat, lon, options = {}) {
+  try {
+    const { data } = await cachedFetch(
+      endpointCacheKey('airQuality', lat, lon),
+      CACHE_TTL.airQuality,
+      () => getWeatherProvider('getAirQuality').getAirQuality(lat, lon),
+      options
+    )
+    return data
+  } catch (error) {
+    console.error('Error fetching air quality:', error)
+    return null
+  }
+}
+
+/**
+ * Get the hourly air quality forecast for a location
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Object} options - Cache options (force, onRevalidate), see cachedFetch
+ * @returns {Promise<Object|null>} Normalized AirQualityForecast (null when unavailable)
+ */
+export async function getAirQualityForecast(lat, lon, options = {}) {
+  try {
+    const { data } = await cachedFetch(
+      endpointCacheKey('airQualityForecast', lat, lon),
+      CACHE_TTL.airQualityForecast,
+      () => getWeatherProvider('getAirQualityForecast').getAirQualityForecast(lat, lon),
+      options
+    )
+    return data
+  } catch (error) {
+    console.error('Error fetching air quality forecast:', error)
+    return null
+  }
+}
+
+/**
+ * Get current, hourly and daily UV index for a location
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Object} options - Cache options (force, onRevalidate), see cachedFetch
+ * @returns {Promise<Object|null>} Normalized UVIndex (null when unavailable)
+ */
+export async function getUVIndex(lat, lon, options = {}) {
+  try {
+    return await getAlertsAndUVIndexField(lat, lon, 'uvIndex', options)
+  } catch (error) {
+    console.error('Error fetching UV index:', error)
+    return null
+  }
+}
+
+/**
+ * Fetch historical daily observations
  * @param {number} lat - Latitude
  * @param {number} lon - Longitude
  * @param {string} startDate - Start date (YYYY-MM-DD)
  * @param {string} endDate - End date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Normalized HistoryDay records
  */
 export async function getHistoricalWeather(lat, lon, startDate, endDate) {
   try {
-    const response = await fetch(
-      `${VISUAL_CROSSING_BASE_URL}/timeline/${lat},${lon}/${startDate}/${endDate}?unitGroup=metric&key=${VISUAL_CROSSING_API_KEY}&contentType=json`
-    )
-    
-    if (!response.ok) {
-      throw new Error(`Historical API error: ${response.status}`)
-    }
-    
-    return await response.json()
+    return await getHistoryProvider().getHistory(lat, lon, startDate, endDate)
   } catch (error) {
     console.error('Error fetching historical weather:', error)
     throw error
@@ -135,9 +227,10 @@ export async function getHistoricalWeather(lat, lon, startDate, endDate) {
 }
 
 /**
- * Get monthly averages for a location (Visual Crossing)
+ * Get monthly averages for a location over the past year
  * @param {number} lat - Latitude
  * @param {number} lon - Longitude
+ * @returns {Promise<Array>} Twelve monthly summaries from aggregateMonthlyClimate
  */
 export async function getMonthlyAverages(lat, lon) {
   try {
@@ -148,15 +241,18 @@ export async function getMonthlyAverages(lat, lon) {
     
     const formatDate = (date) => date.toISOString().split('T')[0]
     
-    const response = await fetch(
-      `${VISUAL_CROSSING_BASE_URL}/timeline/${lat},${lon}/${formatDate(startDate)}/${formatDate(endDate)}?unitGroup=metric&include=days&key=${VISUAL_CROSSING_API_KEY}&contentType=json`
+    const { data } = await cachedFetch(
+      endpointCacheKey('monthly', lat, lon),
+      CACHE_TTL.monthly,
+      async () => {
+        const days = await getHistoryProvider().getHistory(lat, lon, formatDate(startDate), formatDate(endDate))
+        if (!days.length) {
+          throw new Error('Monthly averages API returned no daily data')
+        }
+        return aggregateMonthlyClimate(days)
+      }
     )
-    
-    if (!response.ok) {
-      throw new Error(`Monthly averages API error: ${response.status}`)
-    }
-    
-    return await response.json()
+    return data
   } catch (error) {
     console.error('Error fetching monthly averages:', error)
     throw error
@@ -170,23 +266,7 @@ export async function getMonthlyAverages(lat, lon) {
  */
 export async function reverseGeocode(lat, lon) {
   try {
-    const response = await fetch(
-      `https://api.openweathermap.org/geo/1.0/reverse?lat=${lat}&lon=${lon}&limit=1&appid=${OPENWEATHER_API_KEY}`
-    )
-    
-    if (!response.ok) {
-      throw new Error(`Reverse geocoding API error: ${response.status}`)
-    }
-    
-    const data = await response.json()
-    if (data.length > 0) {
-      return {
-        name: data[0].name,
-        country: data[0].country,
-        state: data[0].state || ''
-      }
-    }
-    return null
+    return await getWeatherProvider('reverseGeocode').reverseGeocode(lat, lon)
   } catch (error) {
     console.error('Error reverse geocoding:', error)
     throw error
@@ -235,7 +315,7 @@ export function getCurrentLocation() {
   })
 }
 
-// Weather icon mapping for OpenWeatherMap icons
+// Weather icon mapping for OpenWeatherMap-style icon codes
 export const weatherIconMap = {
   '01d': { icon: 'fa-sun', color: 'text-orange-accent' },
   '01n': { icon: 'fa-moon', color: 'text-cool-blue' },
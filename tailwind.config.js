@@ -7,13 +7,15 @@ export default {
   theme: {
     extend: {
       colors: {
+        // Theme-aware: foreground and page colours swap in the light theme (see main.css)
+        'white': 'rgb(var(--color-foreground) / <alpha-value>)',
         'sky-primary': '#0EA5E9',
         'orange-accent': '#FF7A00',
         'cool-blue': '#3B82F6',
         'success-green': '#10B981',
         'alert-red': '#EF4444',
         'light-gray': '#F3F4F6',
-        'dark-navy': '#0f172a',
+        'dark-navy': 'rgb(var(--color-surface) / <alpha-value>)',
         'card-bg': 'rgba(255, 255, 255, 0.08)',
         'card-border': 'rgba(255, 255, 255, 0.12)'
       },
@@ -1,9 +1,43 @@
 import { defineConfig } from 'vite'
 import vue from '@vitejs/plugin-vue'
+import { createHash } from 'node:crypto'
+import { readdirSync } from 'node:fs'
 import { fileURLToPath, URL } from 'node:url'
 
+/**
+ * Emit precache-manifest.json listing the built app shell, so the service
+ * worker (public/sw.js) can precache hashed assets it cannot know statically
+ */
+function precacheManifest() {
+  const publicDir = fileURLToPath(new URL('./public', import.meta.url))
+
+  return {
+    name: 'precache-manifest',
+    apply: 'build',
+    generateBundle(options, bundle) {
+      const publicFiles = readdirSync(publicDir)
+        .filter(file => file !== 'sw.js')
+        .map(file => `/${file}`)
+      // Skip source maps and legacy font formats every supported browser replaces with woff2
+      const bundleFiles = Object.keys(bundle)
+        .filter(file => !/\.(map|woff|ttf)$/.test(file))
+        .map(file => `/${file}`)
+      const files = ['/', ...publicFiles, ...bundleFiles]
+
+      // Hashed file names change on every build, so they make a good version
+      const version = createHash('sha256').update(files.join()).digest('hex').slice(0, 12)
+
+      this.emitFile({
+        type: 'asset',
+        fileName: 'precache-manifest.json',
+        source: JSON.stringify({ version, files }, null, 2)
+      })
+    }
+  }
+}
+
 export default defineConfig({
-  plugins: [vue()],
+  plugins: [vue(), precacheManifest()],
   resolve: {
     alias: {
       '@': fileURLToPath(new URL('./src', import.meta.url))